@@ -76,6 +76,9 @@ export class InputManager {
      * @param {KeyboardEvent} event
      */
     _onKeyDown(event) {
+        // Leave typing in text fields (e.g. the leaderboard name) alone
+        if (event.target instanceof HTMLInputElement) return;
+
         const key = event.code;
 
         // Check directional controls
@@ -14,6 +14,7 @@ import { EffectsManager } from './systems/effects.js';
 import { ParticleSystem } from './systems/particles.js';
 import { AudioManager } from './systems/audio.js';
 import { HUD } from './ui/hud.js';
+import { Leaderboard } from './systems/leaderboard.js';
 
 class Game {
     constructor() {
@@ -22,6 +23,8 @@ class Game {
         this.lastTime = 0;
         this.deltaTime = 0;
         this.score = 0;
+        this.nearMisses = 0;
+        this.playTime = 0; // seconds of actual driving, pauses excluded
         this.gameState = 'menu'; // menu, playing, paused, gameover
     }
 
@@ -58,6 +61,8 @@ class Game {
         this.audio = new AudioManager();
         await this.audio.init();
 
+        this.leaderboard = new Leaderboard();
+
         // Initialize UI
         this.hud = new HUD();
         this.hud.init();
@@ -93,6 +98,8 @@ class Game {
         this.gameState = 'playing';
         this.isRunning = true;
         this.score = 0;
+        this.nearMisses = 0;
+        this.playTime = 0;
 
         // Reset positions
         this.player.reset();
@@ -146,6 +153,8 @@ class Game {
     }
 
     update(dt) {
+        this.playTime += dt;
+
         // Get input state
         const inputState = this.input.getState();
 
@@ -174,6 +183,7 @@ class Game {
         );
 
         if (nearMisses > 0) {
+            this.nearMisses += nearMisses;
             this.addScore(nearMisses * CONFIG.SCORING.NEAR_MISS_POINTS);
             this.hud.showNearMiss(nearMisses);
             this.effects.flashNearMiss();
@@ -252,8 +262,18 @@ class Game {
         this.audio.stopMusic();
         this.audio.playGameOver();
 
+        // The server recomputes the score from these stats
+        const result = {
+            score: this.score,
+            time: Math.max(1, Math.round(this.playTime * 1000)),
+            stats: { nearMisses: this.nearMisses }
+        };
+
         this.hud.showGameOver({
             score: this.score,
+            playerName: this.leaderboard.getSavedName(),
+            loadLeaderboard: () => this.leaderboard.fetchTop(),
+            onSubmitScore: (playerName) => this.leaderboard.submit({ playerName, ...result }),
             onRestart: () => this.startGame(),
             onMenu: () => this.showMenu()
         });
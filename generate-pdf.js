@@ -1,40 +1,196 @@
 const puppeteer = require('puppeteer');
+const fs = require('fs');
 const path = require('path');
+const { parseArgs } = require('util');
+const { FIRST_EVENT, validateEvent, publicEvent, eventRow } = require('./server/event-details');
+const { eventDetails } = require('./server/calendar');
+const { PAPER_SIZES, SOCIAL_PRESETS, openFlyer, flyerPdf, flyerImage, flyerPresetImage } = require('./server/flyer');
 
-async function generatePDF() {
-    const browser = await puppeteer.launch();
-    const page = await browser.newPage();
+// Renders the flyer (or another page) to print-ready PDFs and images.
+// Run with --help for the options; with none it writes the A4 PDF and the
+// full-page PNG it always has.
+
+const IMAGE_FORMATS = {
+    png: 'png',
+    jpeg: 'jpeg',
+    jpg: 'jpeg',
+    webp: 'webp'
+};
+
+const DEFAULT_SCALE = 1;
+const DEFAULT_QUALITY = 90;
+const DEFAULT_NAME = 'ariel-birthday-flyer';
+const DEFAULT_SITE = 'https://ariel-birthday-production.up.railway.app';
+
+const USAGE = `Usage: node generate-pdf.js [options]
 
-    // Set viewport for mobile-friendly flyer
-    await page.setViewport({ width: 600, height: 1000 });
+  --page <file|url>       Page to render (default: flyer.html)
+  --out <dir>             Directory to write to (default: current directory)
+  --name <name>           File name without extension (default: ariel-birthday-flyer)
+  --paper <size>          PDF paper: ${Object.keys(PAPER_SIZES).join(', ')}
+  --format <type>         Image type: png, jpeg, webp
+  --preset <name>         Social media image: ${Object.keys(SOCIAL_PRESETS).join(', ')}
+  --scale <factor>        Pixel density of full-page images (default: 1)
+  --quality <0-100>       JPEG and WebP quality (default: 90)
+  --event <file.json>     Event details to show, as on the dashboard's event form
+  --set <field=value>     Change one event detail, e.g. --set nickname="Little Chef"
+  --site <url>            Site the invitation and calendar links point to
+  -h, --help              Show this help
 
-    // Load the flyer
-    const flyerPath = path.join(__dirname, 'flyer.html');
-    await page.goto(`file://${flyerPath}`, { waitUntil: 'networkidle0' });
+--paper, --format and --preset can be repeated or take a comma list;
+--set can be repeated (theme colours are theme.primary, theme.light, theme.dark).
+Without --paper, --format or --preset it writes an A4 PDF and a PNG.
+Images are full-page unless presets are given.`;
 
-    // Wait for animations to settle
-    await new Promise(resolve => setTimeout(resolve, 1000));
+// "a4,letter" and repeated flags as one lowercase list
+function listOption(values = []) {
+    return values.flatMap(value => value.split(',')).map(value => value.trim().toLowerCase()).filter(Boolean);
+}
+
+function checkNames(values, known, label) {
+    const unknown = values.find(value => !Object.prototype.hasOwnProperty.call(known, value));
+    if (unknown) {
+        throw new Error(`Unknown ${label} "${unknown}"; use one of ${Object.keys(known).join(', ')}`);
+    }
+    return [...new Set(values)];
+}
 
-    // Generate PDF
-    await page.pdf({
-        path: 'ariel-birthday-flyer.pdf',
-        format: 'A4',
-        printBackground: true,
-        margin: { top: '0', right: '0', bottom: '0', left: '0' }
+function numberOption(value, fallback, min, max, label) {
+    if (value === undefined) return fallback;
+    const number = Number(value);
+    if (!Number.isFinite(number) || number < min || number > max) {
+        throw new Error(`${label} must be a number from ${min} to ${max}`);
+    }
+    return number;
+}
+
+function pageUrl(page) {
+    if (!page) return `file://${path.join(__dirname, 'flyer.html')}`;
+    return /^https?:\/\//i.test(page) ? page : `file://${path.resolve(page)}`;
+}
+
+// The first party with the --event file and --set changes applied, checked
+// the way the dashboard checks an edited event
+function buildEvent(eventFile, changes, siteUrl) {
+    if (!eventFile && changes.length === 0) return null;
+
+    const body = { ...publicEvent(FIRST_EVENT), portrait: FIRST_EVENT.portrait };
+    if (eventFile) {
+        Object.assign(body, JSON.parse(fs.readFileSync(eventFile, 'utf8')));
+    }
+    changes.forEach(change => {
+        const separator = change.indexOf('=');
+        if (separator < 1) throw new Error(`--set needs field=value, got "${change}"`);
+        const field = change.slice(0, separator).trim();
+        const value = change.slice(separator + 1);
+        if (field.startsWith('theme.')) {
+            body.theme = { ...body.theme, [field.slice('theme.'.length)]: value };
+        } else if (field in body && field !== 'display') {
+            body[field] = value;
+        } else {
+            throw new Error(`Unknown event field "${field}"`);
+        }
     });
 
-    console.log('PDF saved as ariel-birthday-flyer.pdf');
+    const { entry, error } = validateEvent(body);
+    if (error) throw new Error(`Event details: ${error}`);
+    return eventDetails({ id: FIRST_EVENT.id, ...eventRow(entry) }, siteUrl);
+}
 
-    // Also generate a PNG image for social media
-    await page.screenshot({
-        path: 'ariel-birthday-flyer.png',
-        fullPage: true,
-        type: 'png'
+function parseOptions(argv) {
+    const { values } = parseArgs({
+        args: argv,
+        options: {
+            page: { type: 'string' },
+            out: { type: 'string' },
+            name: { type: 'string' },
+            paper: { type: 'string', multiple: true },
+            format: { type: 'string', multiple: true },
+            preset: { type: 'string', multiple: true },
+            scale: { type: 'string' },
+            quality: { type: 'string' },
+            event: { type: 'string' },
+            set: { type: 'string', multiple: true },
+            site: { type: 'string' },
+            help: { type: 'boolean', short: 'h' }
+        }
     });
+    if (values.help) return { help: true };
 
-    console.log('PNG saved as ariel-birthday-flyer.png');
+    let papers = checkNames(listOption(values.paper), PAPER_SIZES, 'paper size');
+    let formats = checkNames(listOption(values.format), IMAGE_FORMATS, 'image format').map(format => IMAGE_FORMATS[format]);
+    const presets = checkNames(listOption(values.preset), SOCIAL_PRESETS, 'preset');
+    if (papers.length === 0 && formats.length === 0 && presets.length === 0) {
+        papers = ['a4'];
+        formats = ['png'];
+    }
+    if (formats.length === 0 && presets.length > 0) formats = ['png'];
+
+    const site = (values.site || DEFAULT_SITE).replace(/\/+$/, '');
+    return {
+        url: pageUrl(values.page),
+        outDir: path.resolve(values.out || '.'),
+        name: values.name || DEFAULT_NAME,
+        papers,
+        formats: [...new Set(formats)],
+        presets,
+        scale: numberOption(values.scale, DEFAULT_SCALE, 0.5, 4, '--scale'),
+        quality: numberOption(values.quality, DEFAULT_QUALITY, 0, 100, '--quality'),
+        event: buildEvent(values.event, values.set || [], site)
+    };
+}
+
+function outputPath(options, suffix, ext) {
+    return path.join(options.outDir, `${options.name}${suffix ? `-${suffix}` : ''}.${ext}`);
+}
+
+function imageExtension(format) {
+    return format === 'jpeg' ? 'jpg' : format;
+}
+
+async function save(file, data, label) {
+    await fs.promises.writeFile(file, data);
+    console.log(`${label} saved as ${file}`);
+}
+
+async function generate(options) {
+    await fs.promises.mkdir(options.outDir, { recursive: true });
+    const browser = await puppeteer.launch();
+    try {
+        const page = await browser.newPage();
+        await openFlyer(page, options.url, options.event, options.scale);
+
+        for (const paper of options.papers) {
+            const file = outputPath(options, options.papers.length > 1 ? paper : '', 'pdf');
+            await save(file, await flyerPdf(page, paper), 'PDF');
+        }
+        if (options.presets.length === 0) {
+            for (const format of options.formats) {
+                const file = outputPath(options, '', imageExtension(format));
+                await save(file, await flyerImage(page, format, options.quality), 'Image');
+            }
+        }
+        for (const preset of options.presets) {
+            for (const format of options.formats) {
+                const file = outputPath(options, preset, imageExtension(format));
+                await save(file, await flyerPresetImage(page, preset, format, options.quality), `${preset} image`);
+            }
+        }
+    } finally {
+        await browser.close();
+    }
+}
 
-    await browser.close();
+async function main() {
+    const options = parseOptions(process.argv.slice(2));
+    if (options.help) {
+        console.log(USAGE);
+        return;
+    }
+    await generate(options);
 }
 
-generatePDF().catch(console.error);
+main().catch(error => {
+    console.error(error.message);
+    process.exitCode = 1;
+});
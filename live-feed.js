@@ -0,0 +1,54 @@
+// Live feed shared by the invitation, the dashboard and the party screen.
+// Changes are pushed over Server-Sent Events. EventSource reconnects by
+// itself after a dropped connection; if the server refuses the stream we
+// retry with backoff. Callers keep polling whenever isLive() is false.
+(function () {
+    const LIVE_RETRY_MS = 5000;
+    const LIVE_MAX_RETRY_MS = 60000;
+
+    // handlers maps event types to callbacks taking the parsed data;
+    // onReconnect runs when the stream comes back after being lost
+    function openLiveFeed(url, handlers, onReconnect) {
+        let source = null;
+        let live = false;
+        let closed = false;
+        let hasConnected = false;
+        let retryMs = LIVE_RETRY_MS;
+        let retryTimer = null;
+
+        function connect() {
+            source = new EventSource(url);
+            source.addEventListener('ready', () => {
+                live = true;
+                retryMs = LIVE_RETRY_MS;
+                // Catch up on anything that changed while we were offline
+                if (hasConnected && onReconnect) onReconnect();
+                hasConnected = true;
+            });
+            Object.entries(handlers).forEach(([type, handler]) => {
+                source.addEventListener(type, (e) => handler(JSON.parse(e.data)));
+            });
+            source.addEventListener('error', () => {
+                live = false;
+                if (source.readyState === EventSource.CLOSED && !closed) {
+                    retryTimer = setTimeout(connect, retryMs);
+                    retryMs = Math.min(retryMs * 2, LIVE_MAX_RETRY_MS);
+                }
+            });
+        }
+
+        if (window.EventSource) connect();
+
+        return {
+            isLive: () => live,
+            close() {
+                closed = true;
+                live = false;
+                clearTimeout(retryTimer);
+                if (source) source.close();
+            }
+        };
+    }
+
+    window.openLiveFeed = openLiveFeed;
+})();
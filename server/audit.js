@@ -0,0 +1,50 @@
+const { adminName } = require('./auth');
+
+// Audit log of admin actions. Routes call audit(req, action, details) after
+// a change succeeds; a failed write is logged but never fails the request.
+const AUDIT_PAGE_SIZE = 50;
+const MAX_AUDIT_PAGE_SIZE = 200;
+
+// Every action the server records, in the order the dashboard lists them
+const AUDIT_ACTIONS = [
+    'admin.login',
+    'admin.login-failed',
+    'message.status',
+    'message.delete',
+    'message.restore',
+    'message.purge',
+    'messages.clear',
+    'messages.import',
+    'trash.empty',
+    'rsvp.delete',
+    'photo.status',
+    'photo.delete',
+    'catalog.update',
+    'event.create',
+    'event.update',
+    'event.default',
+    'guest.create',
+    'guest.update',
+    'guest.token',
+    'guest.delete',
+    'export.download'
+];
+
+function createAuditLogger(storage) {
+    return async function audit(req, action, { actor, targetId = null, before = null, after = null } = {}) {
+        try {
+            await storage.createAuditEntry({
+                actor: actor || adminName(req),
+                action,
+                targetId: targetId === null ? null : String(targetId),
+                before,
+                after,
+                ip: req.ip || null
+            });
+        } catch (error) {
+            console.error('Error writing audit log:', error);
+        }
+    };
+}
+
+module.exports = { AUDIT_ACTIONS, AUDIT_PAGE_SIZE, MAX_AUDIT_PAGE_SIZE, createAuditLogger };
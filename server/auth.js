@@ -0,0 +1,134 @@
+const crypto = require('crypto');
+
+// Admin password hash in the form "scrypt$<salt>$<hash>" (hex encoded).
+// Generate one with: npm run hash-password -- 'your password'
+const ADMIN_PASSWORD_HASH = process.env.ADMIN_PASSWORD_HASH;
+
+// Secret used to sign session tokens. Without one, a random secret is used
+// and every admin session ends when the server restarts.
+const SESSION_SECRET = process.env.SESSION_SECRET || crypto.randomBytes(32).toString('hex');
+const SESSION_TTL_HOURS = parseFloat(process.env.SESSION_TTL_HOURS) || 12;
+
+// Everyone shares the admin password, so the name typed at login is what
+// tells moderators apart in the audit log
+const DEFAULT_ADMIN_NAME = 'admin';
+const MAX_ADMIN_NAME_LENGTH = 50;
+
+if (!process.env.SESSION_SECRET && require.main !== module) {
+    console.warn('SESSION_SECRET is not set; admin sessions will not survive a restart');
+}
+
+function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) {
+        return false;
+    }
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(actual, expected);
+}
+
+function sign(payload) {
+    return crypto.createHmac('sha256', SESSION_SECRET).update(payload).digest('base64url');
+}
+
+// Tokens are "<base64url payload>.<signature>"; the payload holds the expiry
+// and the moderator's name
+function createSessionToken(name = DEFAULT_ADMIN_NAME) {
+    const expiresAt = Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000;
+    const payload = Buffer.from(JSON.stringify({ exp: expiresAt, name })).toString('base64url');
+    return { token: `${payload}.${sign(payload)}`, expiresAt: new Date(expiresAt).toISOString(), name };
+}
+
+// Returns the payload of a valid, unexpired token, or null
+function readSessionToken(token) {
+    const [payload, signature] = (token || '').split('.');
+    if (!payload || !signature) {
+        return null;
+    }
+
+    const expected = Buffer.from(sign(payload));
+    const actual = Buffer.from(signature);
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const session = JSON.parse(Buffer.from(payload, 'base64url').toString());
+        return typeof session.exp === 'number' && session.exp > Date.now() ? session : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+function verifySessionToken(token) {
+    return readSessionToken(token) !== null;
+}
+
+function getBearerToken(req) {
+    const header = req.get('Authorization') || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+function isAdminRequest(req) {
+    return verifySessionToken(getBearerToken(req));
+}
+
+// Name of the moderator making an admin request, for the audit log
+function adminName(req) {
+    const session = readSessionToken(getBearerToken(req));
+    return (session && session.name) || DEFAULT_ADMIN_NAME;
+}
+
+function cleanAdminName(name) {
+    const trimmed = typeof name === 'string' ? name.trim().slice(0, MAX_ADMIN_NAME_LENGTH) : '';
+    return trimmed || DEFAULT_ADMIN_NAME;
+}
+
+// Middleware for admin-only routes
+function requireAdmin(req, res, next) {
+    if (!isAdminRequest(req)) {
+        return res.status(401).json({ error: 'Admin login required' });
+    }
+    next();
+}
+
+// Checks a login attempt; returns { session } with a new token or { error, status }
+function login({ password, name } = {}) {
+    if (!ADMIN_PASSWORD_HASH) {
+        return { error: 'Admin login is not configured', status: 503 };
+    }
+    if (!password || !verifyPassword(password, ADMIN_PASSWORD_HASH)) {
+        return { error: 'Incorrect password', status: 401 };
+    }
+    return { session: createSessionToken(cleanAdminName(name)) };
+}
+
+module.exports = {
+    hashPassword,
+    verifyPassword,
+    createSessionToken,
+    verifySessionToken,
+    isAdminRequest,
+    adminName,
+    cleanAdminName,
+    requireAdmin,
+    login
+};
+
+// CLI: node auth.js <password> prints a value for ADMIN_PASSWORD_HASH
+if (require.main === module) {
+    const password = process.argv[2];
+    if (!password) {
+        console.error('Usage: node auth.js <password>');
+        process.exit(1);
+    }
+    console.log(hashPassword(password));
+}
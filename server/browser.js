@@ -0,0 +1,50 @@
+const puppeteer = require('puppeteer');
+
+// Headless Chrome for server-side rendering (the PDF memory book).
+// Launched on first use, shared by concurrent renders and closed again
+// once nothing has used it for a while so it doesn't hold memory.
+// Set PUPPETEER_EXECUTABLE_PATH to use a system Chromium (see Dockerfile).
+const IDLE_CLOSE_MS = 2 * 60 * 1000;
+
+let browserPromise = null;
+let openPages = 0;
+let idleTimer = null;
+
+function launch() {
+    browserPromise = puppeteer.launch({
+        // Containers run as root without the sandbox's kernel features
+        args: ['--no-sandbox', '--disable-dev-shm-usage']
+    });
+    browserPromise
+        .then(browser => browser.on('disconnected', () => { browserPromise = null; }))
+        .catch(() => { browserPromise = null; });
+    return browserPromise;
+}
+
+function scheduleClose() {
+    clearTimeout(idleTimer);
+    idleTimer = setTimeout(async () => {
+        if (openPages > 0 || !browserPromise) return;
+        const browser = await browserPromise.catch(() => null);
+        browserPromise = null;
+        if (browser) await browser.close().catch(() => {});
+    }, IDLE_CLOSE_MS);
+}
+
+// Runs fn(page) on a fresh tab and always closes the tab afterwards
+async function withPage(fn) {
+    clearTimeout(idleTimer);
+    openPages++;
+    let page = null;
+    try {
+        const browser = await (browserPromise || launch());
+        page = await browser.newPage();
+        return await fn(page);
+    } finally {
+        if (page) await page.close().catch(() => {});
+        openPages--;
+        if (openPages === 0) scheduleClose();
+    }
+}
+
+module.exports = { withPage };
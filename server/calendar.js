@@ -0,0 +1,171 @@
+const { publicEvent, wallClockDate } = require('./event-details');
+
+// "Add to calendar" for an event: an .ics file (Apple Calendar, Outlook
+// desktop and anything else that imports iCalendar) with a reminder, links
+// that open Google Calendar and Outlook.com with the event filled in, and a
+// map search for the address. Calendars get UTC times, worked out from the
+// event's wall-clock time in its own time zone.
+const REMINDER = '-P1D';
+const REMINDER_TEXT = 'tomorrow';
+
+// Calendars need an end; parties without one get this long
+const DEFAULT_DURATION_HOURS = 3;
+
+// Milliseconds `timezone` is ahead of UTC at `date`
+function timezoneOffset(date, timezone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone: timezone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: 'numeric',
+        day: 'numeric',
+        hour: 'numeric',
+        minute: 'numeric',
+        second: 'numeric'
+    }).formatToParts(date).forEach(part => { parts[part.type] = Number(part.value); });
+
+    const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return local - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+// The instant a wall-clock time like "2026-01-24T15:00" happens in `timezone`.
+// Checked twice because the offset can differ across a DST change.
+function zonedTime(value, timezone) {
+    const wallClock = wallClockDate(value).getTime();
+    const guess = new Date(wallClock - timezoneOffset(new Date(wallClock), timezone));
+    return new Date(wallClock - timezoneOffset(guess, timezone));
+}
+
+function eventTimes(event) {
+    const start = zonedTime(event.starts_at, event.timezone);
+    const end = event.ends_at
+        ? zonedTime(event.ends_at, event.timezone)
+        : new Date(start.getTime() + DEFAULT_DURATION_HOURS * 60 * 60 * 1000);
+    return { start, end };
+}
+
+// 20260124T200000Z
+function icsTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+function eventTitle(details) {
+    return `${details.shortName}'s ${details.display.birthday}`;
+}
+
+function eventUrls(event, siteUrl) {
+    const slug = encodeURIComponent(event.slug);
+    return {
+        invitation: `${siteUrl}/e/${slug}/`,
+        ics: `${siteUrl}/api/event/calendar.ics?event=${slug}`
+    };
+}
+
+function eventDescription(details, invitationUrl) {
+    return `Join us to celebrate ${details.honoree}'s ${details.display.birthday.toLowerCase()}!\n\nRSVP and leave a wish: ${invitationUrl}`;
+}
+
+// Everything a page needs to link to the event's calendar entries and map
+function calendarLinks(event, siteUrl) {
+    const details = publicEvent(event);
+    const { start, end } = eventTimes(event);
+    const { invitation, ics } = eventUrls(event, siteUrl);
+    const title = eventTitle(details);
+    const description = eventDescription(details, invitation);
+    const location = details.display.location.replace(/\n/g, ', ');
+
+    const google = new URLSearchParams({
+        action: 'TEMPLATE',
+        text: title,
+        dates: `${icsTime(start)}/${icsTime(end)}`,
+        ctz: event.timezone,
+        details: description,
+        location
+    });
+    const outlook = new URLSearchParams({
+        path: '/calendar/action/compose',
+        rru: 'addevent',
+        subject: title,
+        startdt: start.toISOString().replace(/\.\d{3}/, ''),
+        enddt: end.toISOString().replace(/\.\d{3}/, ''),
+        body: description,
+        location
+    });
+
+    return {
+        invitation,
+        ics,
+        google: `https://calendar.google.com/calendar/render?${google}`,
+        outlook: `https://outlook.live.com/calendar/0/deeplink/compose?${outlook}`,
+        map: location ? `https://www.google.com/maps/search/?api=1&query=${encodeURIComponent(location)}` : null
+    };
+}
+
+// The event as the pages and /api/event see it, with its links
+function eventDetails(event, siteUrl) {
+    return { ...publicEvent(event), links: calendarLinks(event, siteUrl) };
+}
+
+// ---------- iCalendar ----------
+
+// RFC 5545 text: backslash-escape separators, newlines as \n
+function icsText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+    const chunks = [];
+    let chunk = '';
+    for (const char of line) {
+        const limit = chunks.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(chunk + char) > limit) {
+            chunks.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+function buildIcs(event, siteUrl) {
+    const details = publicEvent(event);
+    const { start, end } = eventTimes(event);
+    const { invitation } = eventUrls(event, siteUrl);
+    const title = eventTitle(details);
+    const location = details.display.location.replace(/\n/g, ', ');
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Ariel Birthday//Invitation//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'BEGIN:VEVENT',
+        // Stable, so importing an updated file replaces the old entry
+        `UID:event-${event.id}@${new URL(siteUrl).hostname}`,
+        `DTSTAMP:${icsTime(new Date())}`,
+        `DTSTART:${icsTime(start)}`,
+        `DTEND:${icsTime(end)}`,
+        `SUMMARY:${icsText(title)}`,
+        `DESCRIPTION:${icsText(eventDescription(details, invitation))}`,
+        ...(location ? [`LOCATION:${icsText(location)}`] : []),
+        `URL:${invitation}`,
+        'BEGIN:VALARM',
+        'ACTION:DISPLAY',
+        `DESCRIPTION:${icsText(`${title} is ${REMINDER_TEXT}`)}`,
+        `TRIGGER:${REMINDER}`,
+        'END:VALARM',
+        'END:VEVENT',
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports = { eventDetails, buildIcs };
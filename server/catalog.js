@@ -0,0 +1,84 @@
+const fs = require('fs');
+const path = require('path');
+const { FIRST_EVENT } = require('./event-details');
+
+// Photo catalog for the timeline and gallery on index.html, one per event.
+// Edits from the dashboard are saved in storage under "photo-catalog:<id>".
+// The first party falls back to its catalog from before events (saved as
+// plain "photo-catalog") and then photo-catalog.json; other events start
+// with an empty catalog, picked from the same assets/photos.
+const CATALOG_SETTING = 'photo-catalog';
+const SEED_FILE = path.join(__dirname, 'photo-catalog.json');
+const PHOTOS_DIR = path.join(__dirname, 'assets', 'photos');
+const MAX_TEXT_LENGTH = 100;
+
+const TEXT_FIELDS = ['age', 'title', 'caption', 'galleryCaption'];
+
+function loadSeedCatalog() {
+    return JSON.parse(fs.readFileSync(SEED_FILE, 'utf8'));
+}
+
+async function listPhotoFiles() {
+    const files = await fs.promises.readdir(PHOTOS_DIR).catch(() => []);
+    return files.filter(file => /\.(jpe?g|png|webp|gif)$/i.test(file)).sort();
+}
+
+function catalogSetting(event) {
+    return `${CATALOG_SETTING}:${event.id}`;
+}
+
+async function storedCatalog(storage, event) {
+    const catalog = await storage.getSetting(catalogSetting(event));
+    if (catalog) return catalog;
+    if (event.id !== FIRST_EVENT.id) return { photos: [] };
+    return (await storage.getSetting(CATALOG_SETTING)) || loadSeedCatalog();
+}
+
+async function getCatalog(storage, event) {
+    const catalog = await storedCatalog(storage, event);
+    const files = await listPhotoFiles();
+
+    // Flag entries whose file is missing so pages can skip them
+    return {
+        photos: catalog.photos.map(photo => ({ ...photo, available: files.includes(photo.src) })),
+        files
+    };
+}
+
+// Returns { catalog } with a cleaned-up copy, or { error } describing the problem
+function validateCatalog(input) {
+    if (!input || !Array.isArray(input.photos)) {
+        return { error: 'Catalog must have a photos list' };
+    }
+
+    const photos = [];
+    for (const [index, entry] of input.photos.entries()) {
+        const label = `Photo ${index + 1}`;
+        if (!entry || typeof entry.src !== 'string' || !entry.src.trim()) {
+            return { error: `${label} needs a file name` };
+        }
+        if (path.basename(entry.src) !== entry.src) {
+            return { error: `${label} must refer to a file in assets/photos` };
+        }
+
+        const photo = { src: entry.src.trim() };
+        for (const field of TEXT_FIELDS) {
+            const value = entry[field] == null ? '' : String(entry[field]).trim();
+            if (value.length > MAX_TEXT_LENGTH) {
+                return { error: `${label}: ${field} must be ${MAX_TEXT_LENGTH} characters or fewer` };
+            }
+            photo[field] = value;
+        }
+        photo.timeline = Boolean(entry.timeline);
+        photo.gallery = Boolean(entry.gallery);
+        photos.push(photo);
+    }
+
+    return { catalog: { photos } };
+}
+
+async function saveCatalog(storage, event, catalog) {
+    await storage.setSetting(catalogSetting(event), catalog);
+}
+
+module.exports = { PHOTOS_DIR, getCatalog, validateCatalog, saveCatalog };
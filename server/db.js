@@ -0,0 +1,9 @@
+const { Pool } = require('pg');
+
+// PostgreSQL connection - Railway provides DATABASE_URL
+const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false
+});
+
+module.exports = pool;
@@ -0,0 +1,258 @@
+// Parties hosted on the site (see migration 011). Pages and API requests
+// pick one with /e/:slug or ?event=slug; without either they get the
+// default event, chosen on the dashboard (the first event until then).
+const DEFAULT_EVENT_SETTING = 'defaultEvent';
+const MAX_SLUG_LENGTH = 60;
+const MAX_NAME_LENGTH = 255;
+const MAX_SHORT_NAME_LENGTH = 100;
+const MAX_ADDRESS_LENGTH = 500;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const WALL_CLOCK_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+// A file in assets/photos, like the photo catalog's entries
+const PORTRAIT_PATTERN = /^[\w.-]+\.(jpe?g|png|webp|gif)$/i;
+
+// The party the pages were written for: migration 011 seeds it, new data
+// files start with it and the flyer CLI renders it unless told otherwise
+const FIRST_EVENT = {
+    id: 1,
+    slug: 'ariel-first-birthday',
+    honoree: 'Ariel Elijah Ortega',
+    short_name: 'Ariel',
+    nickname: 'Mr. President',
+    age: 1,
+    starts_at: '2026-01-24T15:00',
+    ends_at: '2026-01-24T21:00',
+    timezone: 'America/New_York',
+    venue_name: null,
+    address: '515 Hershey Avenue\nLancaster, PA 17603',
+    portrait: 'IMG_8855.jpeg',
+    theme: {},
+    created_at: '2026-01-01T00:00:00.000Z',
+    updated_at: '2026-01-01T00:00:00.000Z'
+};
+
+// Page colours an event can override (--gold, --gold-light, --gold-dark);
+// unset ones keep each page's own palette
+const THEME_COLORS = ['primary', 'light', 'dark'];
+
+const ORDINAL_WORDS = [
+    'Zeroth', 'First', 'Second', 'Third', 'Fourth', 'Fifth', 'Sixth', 'Seventh', 'Eighth', 'Ninth', 'Tenth',
+    'Eleventh', 'Twelfth', 'Thirteenth', 'Fourteenth', 'Fifteenth', 'Sixteenth', 'Seventeenth', 'Eighteenth',
+    'Nineteenth', 'Twentieth'
+];
+
+function ordinal(n) {
+    const teens = n % 100 >= 11 && n % 100 <= 13;
+    return `${n}${teens ? 'th' : { 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] || 'th'}`;
+}
+
+// "2026-01-24T15:00" as a Date whose UTC fields are the wall-clock time
+function wallClockDate(value) {
+    const [date, time] = value.split('T');
+    const [year, month, day] = date.split('-').map(Number);
+    const [hour, minute] = time.split(':').map(Number);
+    return new Date(Date.UTC(year, month - 1, day, hour, minute));
+}
+
+// Rejects impossible dates like February 30 rather than rolling them over
+function isWallClock(value) {
+    if (typeof value !== 'string' || !WALL_CLOCK_PATTERN.test(value)) return false;
+    const date = wallClockDate(value);
+    return !isNaN(date) && date.toISOString().slice(0, 16) === value;
+}
+
+function isTimezone(timezone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+function optionalText(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// Returns { entry } ready for storage, or { error } describing the problem
+function validateEvent(body) {
+    const slug = typeof body.slug === 'string' ? body.slug.trim().toLowerCase() : '';
+    const honoree = optionalText(body.honoree);
+    const shortName = optionalText(body.shortName);
+    const nickname = optionalText(body.nickname);
+    const venueName = optionalText(body.venueName);
+    const address = optionalText(body.address);
+    const portrait = optionalText(body.portrait);
+    const endsAt = optionalText(body.endsAt);
+    const age = body.age === undefined || body.age === null || body.age === '' ? null : Number(body.age);
+    const theme = body.theme && typeof body.theme === 'object' ? body.theme : {};
+
+    if (!SLUG_PATTERN.test(slug) || slug.length > MAX_SLUG_LENGTH) {
+        return { error: `The link name must be up to ${MAX_SLUG_LENGTH} lowercase letters, digits and dashes` };
+    }
+    if (!honoree || !shortName) {
+        return { error: 'The honoree\'s full and short names are required' };
+    }
+    if (honoree.length > MAX_NAME_LENGTH || shortName.length > MAX_SHORT_NAME_LENGTH ||
+        (nickname && nickname.length > MAX_SHORT_NAME_LENGTH) || (venueName && venueName.length > MAX_NAME_LENGTH)) {
+        return { error: 'One of the names is too long' };
+    }
+    if (age !== null && (!Number.isInteger(age) || age < 0 || age > 150)) {
+        return { error: 'Age must be a whole number' };
+    }
+    if (!isWallClock(body.startsAt)) {
+        return { error: 'A start date and time are required' };
+    }
+    if (endsAt && (!isWallClock(endsAt) || endsAt <= body.startsAt)) {
+        return { error: 'The end time must be after the start time' };
+    }
+    if (typeof body.timezone !== 'string' || !isTimezone(body.timezone)) {
+        return { error: 'Unknown time zone' };
+    }
+    if (address && address.length > MAX_ADDRESS_LENGTH) {
+        return { error: `Address must be ${MAX_ADDRESS_LENGTH} characters or fewer` };
+    }
+    if (portrait && !PORTRAIT_PATTERN.test(portrait)) {
+        return { error: 'The portrait must be a photo file in assets/photos' };
+    }
+
+    const colors = {};
+    for (const key of THEME_COLORS) {
+        if (!theme[key]) continue;
+        if (!COLOR_PATTERN.test(theme[key])) {
+            return { error: `Theme colour "${key}" must look like #c9a962` };
+        }
+        colors[key] = theme[key].toLowerCase();
+    }
+
+    return {
+        entry: {
+            slug,
+            honoree,
+            shortName,
+            nickname,
+            age,
+            startsAt: body.startsAt,
+            endsAt,
+            timezone: body.timezone,
+            venueName,
+            address,
+            portrait,
+            theme: colors
+        }
+    };
+}
+
+// A validated entry as a storage row
+function eventRow(entry) {
+    return {
+        slug: entry.slug,
+        honoree: entry.honoree,
+        short_name: entry.shortName,
+        nickname: entry.nickname,
+        age: entry.age,
+        starts_at: entry.startsAt,
+        ends_at: entry.endsAt,
+        timezone: entry.timezone,
+        venue_name: entry.venueName,
+        address: entry.address,
+        portrait: entry.portrait,
+        theme: entry.theme
+    };
+}
+
+function formatTime(date) {
+    return date.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone: 'UTC' });
+}
+
+// What pages need to render an event, with ready-made display strings
+function publicEvent(event) {
+    const start = wallClockDate(event.starts_at);
+    const end = event.ends_at ? wallClockDate(event.ends_at) : null;
+
+    return {
+        slug: event.slug,
+        honoree: event.honoree,
+        shortName: event.short_name,
+        nickname: event.nickname,
+        age: event.age,
+        startsAt: event.starts_at,
+        endsAt: event.ends_at,
+        timezone: event.timezone,
+        venueName: event.venue_name,
+        address: event.address,
+        portrait: event.portrait ? `assets/photos/${event.portrait}` : null,
+        theme: event.theme || {},
+        display: {
+            // Nickname if there is one: "Messages for Mr. President"
+            callName: event.nickname || event.short_name,
+            birthday: event.age === null ? 'Birthday' : `${ORDINAL_WORDS[event.age] || ordinal(event.age)} Birthday`,
+            ageOrdinal: event.age === null ? null : ordinal(event.age),
+            date: start.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric', timeZone: 'UTC' }),
+            shortDate: start.toLocaleDateString('en-US', { month: 'long', day: 'numeric', timeZone: 'UTC' }),
+            time: end ? `${formatTime(start)} - ${formatTime(end)}` : formatTime(start),
+            location: [event.venue_name, event.address].filter(Boolean).join('\n')
+        }
+    };
+}
+
+// Events change rarely, so they're kept in memory and reloaded after an
+// edit. (One server instance; a second one would serve stale events until
+// it restarts.)
+function createEventScope(storage) {
+    let cache = null;
+
+    function load() {
+        if (!cache) {
+            cache = Promise.all([storage.listEvents(), storage.getSetting(DEFAULT_EVENT_SETTING)])
+                .then(([events, defaultId]) => ({
+                    events,
+                    defaultEvent: events.find(event => String(event.id) === String(defaultId)) ||
+                        events.slice().sort((a, b) => a.id - b.id)[0] || null
+                }));
+            cache.catch(() => { cache = null; });
+        }
+        return cache;
+    }
+
+    // The event with this slug, or the default event when no slug is given
+    async function findEvent(slug) {
+        const { events, defaultEvent } = await load();
+        return slug ? events.find(event => event.slug === slug) || null : defaultEvent;
+    }
+
+    // Middleware: req.event from ?event=slug, falling back to the default
+    async function scopeToEvent(req, res, next) {
+        const slug = typeof req.query.event === 'string' && req.query.event ? req.query.event : null;
+        try {
+            req.event = await findEvent(slug);
+        } catch (error) {
+            console.error('Error loading events:', error);
+            return res.status(500).json({ error: 'Failed to load event' });
+        }
+        if (!req.event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        next();
+    }
+
+    return {
+        scopeToEvent,
+        findEvent,
+        listEvents: () => load(),
+        invalidate() {
+            cache = null;
+        }
+    };
+}
+
+module.exports = {
+    DEFAULT_EVENT_SETTING,
+    FIRST_EVENT,
+    wallClockDate,
+    eventRow,
+    validateEvent,
+    publicEvent,
+    createEventScope
+};
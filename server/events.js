@@ -0,0 +1,102 @@
+const { verifySessionToken } = require('./auth');
+
+// Live message feed over Server-Sent Events.
+// Admin clients (who pass their session token as ?token=, since EventSource
+// can't send headers) see every change; everyone else only hears about
+// approved wishes appearing and disappearing. Each stream follows one event
+// (?event=slug, or the default one), like the message lists.
+const HEARTBEAT_MS = 25000;
+const RETRY_MS = 5000;
+
+const clients = new Set();
+
+// Fields of a message that are safe to show on the public wall
+function publicMessage({ id, name, message, media_type = null, media_duration = null, created_at }) {
+    return { id, name, message, media_type, media_duration, created_at };
+}
+
+function send(client, event, data) {
+    client.res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+// GET /api/messages/stream handler
+function streamMessages(req, res) {
+    const client = { res, admin: verifySessionToken(req.query.token), eventId: req.event.id };
+
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+    send(client, 'ready', { admin: client.admin });
+
+    // Comment lines keep proxies from closing an idle connection
+    const heartbeat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+
+    clients.add(client);
+    req.on('close', () => {
+        clearInterval(heartbeat);
+        clients.delete(client);
+    });
+}
+
+function broadcast(eventId, adminEvent, publicEvent) {
+    for (const client of clients) {
+        if (String(client.eventId) !== String(eventId)) continue;
+        const event = client.admin ? adminEvent : publicEvent;
+        if (event) send(client, event.type, event.data);
+    }
+}
+
+function messageCreated(message) {
+    // New messages start out pending, so only moderators hear about them
+    broadcast(message.event_id, { type: 'message-created', data: message }, null);
+}
+
+// Restored backups: moderators get every row, the wall only approved ones
+function messagesImported(messages) {
+    messages.forEach(message => broadcast(
+        message.event_id,
+        { type: 'message-created', data: message },
+        message.status === 'approved' ? { type: 'message-approved', data: publicMessage(message) } : null
+    ));
+}
+
+function messageUpdated(message) {
+    broadcast(
+        message.event_id,
+        { type: 'message-updated', data: message },
+        message.status === 'approved'
+            ? { type: 'message-approved', data: publicMessage(message) }
+            : { type: 'message-removed', data: { id: message.id } }
+    );
+}
+
+function messageDeleted(message) {
+    const event = { type: 'message-removed', data: { id: message.id } };
+    broadcast(message.event_id, event, event);
+}
+
+// Reaction totals changed on an approved wish
+function reactionsChanged(message, reactions) {
+    const event = { type: 'message-reactions', data: { id: message.id, reactions } };
+    broadcast(message.event_id, event, event);
+}
+
+function messagesCleared(eventId) {
+    const event = { type: 'messages-cleared', data: {} };
+    broadcast(eventId, event, event);
+}
+
+module.exports = {
+    streamMessages,
+    messageCreated,
+    messagesImported,
+    messageUpdated,
+    messageDeleted,
+    messagesCleared,
+    reactionsChanged
+};
@@ -0,0 +1,278 @@
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const sharp = require('sharp');
+const { withPage } = require('./browser');
+const { getCatalog, PHOTOS_DIR } = require('./catalog');
+const { photoFilePath } = require('./photos');
+const { mediaFilePath } = require('./media');
+const { publicEvent } = require('./event-details');
+
+// Downloadable keepsakes of one event's guestbook: a JSON dump, a PDF
+// "memory book" of approved wishes between timeline photos, and a ZIP of
+// everything including the photos and voice/video clips guests uploaded.
+const BOOK_PHOTO_SIZE = 1400;
+const BOOK_RENDER_TIMEOUT_MS = 60000;
+
+function exportFilename(event, kind, extension) {
+    return `${event.slug}-${kind}-${new Date().toISOString().split('T')[0]}.${extension}`;
+}
+
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' });
+}
+
+// ---------- JSON ----------
+
+async function buildJsonExport(storage, event) {
+    const [messages, photos] = await Promise.all([
+        storage.listMessages({ eventId: event.id, sort: 'oldest' }),
+        storage.listPhotos({ eventId: event.id })
+    ]);
+
+    return {
+        exportedAt: new Date().toISOString(),
+        event: event.slug,
+        messages: messages.map(msg => ({
+            id: msg.id,
+            name: msg.name,
+            message: msg.message,
+            status: msg.status,
+            ...(msg.media_filename && {
+                media: { file: archiveMediaName(msg), type: msg.media_type, duration: msg.media_duration }
+            }),
+            created_at: msg.created_at
+        })),
+        photos: photos.map(photo => ({
+            id: photo.id,
+            file: archivePhotoName(photo),
+            originalName: photo.original_name,
+            uploaderName: photo.uploader_name,
+            caption: photo.caption,
+            status: photo.status,
+            width: photo.width,
+            height: photo.height,
+            created_at: photo.created_at
+        }))
+    };
+}
+
+// ---------- CSV ----------
+
+// Same columns as the dashboard's client-side CSV export
+function buildCsv(messages) {
+    const headers = ['Name', 'Message', 'Status', 'Submitted At'];
+    const rows = messages.map(m => [m.name, m.message, m.status, new Date(m.created_at).toISOString()]);
+    return [headers, ...rows]
+        .map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+        .join('\n') + '\n';
+}
+
+// ---------- ZIP ----------
+
+function archivePhotoName(photo) {
+    return `photos/${photo.status}/${photo.id}${path.extname(photo.filename)}`;
+}
+
+function archiveMediaName(msg) {
+    return `media/${msg.status}/${msg.id}${path.extname(msg.media_filename)}`;
+}
+
+// Streams a ZIP with messages.json, messages.csv, every uploaded photo and
+// every voice/video clip
+async function streamArchive(storage, event, res) {
+    const data = await buildJsonExport(storage, event);
+    const [photos, messages] = await Promise.all([
+        storage.listPhotos({ eventId: event.id }),
+        storage.listMessages({ eventId: event.id, sort: 'oldest' })
+    ]);
+    const archive = archiver('zip', { zlib: { level: 6 } });
+
+    archive.on('warning', error => console.error('Archive warning:', error));
+    archive.on('error', error => {
+        console.error('Error building archive:', error);
+        res.destroy(error);
+    });
+
+    res.attachment(exportFilename(event, 'archive', 'zip'));
+    archive.pipe(res);
+    archive.append(JSON.stringify(data, null, 2), { name: 'messages.json' });
+    archive.append(buildCsv(data.messages), { name: 'messages.csv' });
+
+    for (const photo of photos) {
+        const filePath = photoFilePath(photo);
+        // A photo row whose file went missing shouldn't sink the whole export
+        if (fs.existsSync(filePath)) {
+            archive.file(filePath, { name: archivePhotoName(photo), date: new Date(photo.created_at) });
+        }
+    }
+    for (const msg of messages.filter(row => row.media_filename)) {
+        const filePath = mediaFilePath(msg);
+        if (fs.existsSync(filePath)) {
+            archive.file(filePath, { name: archiveMediaName(msg), date: new Date(msg.created_at) });
+        }
+    }
+
+    await archive.finalize();
+}
+
+// ---------- PDF memory book ----------
+
+// Timeline photos shrunk and inlined so the page needs no file access
+async function loadTimelinePhotos(storage, event) {
+    const { photos } = await getCatalog(storage, event);
+    const timeline = photos.filter(photo => photo.timeline && photo.available);
+
+    return Promise.all(timeline.map(async photo => {
+        const buffer = await sharp(path.join(PHOTOS_DIR, photo.src))
+            .rotate()
+            .resize(BOOK_PHOTO_SIZE, BOOK_PHOTO_SIZE, { fit: 'inside', withoutEnlargement: true })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+        return { ...photo, dataUrl: `data:image/jpeg;base64,${buffer.toString('base64')}` };
+    }));
+}
+
+// Spreads the photos evenly through the wishes; leftovers close the book
+function interleave(messages, photos) {
+    const items = [];
+    const every = photos.length ? Math.max(1, Math.ceil(messages.length / photos.length)) : Infinity;
+    let next = 0;
+
+    messages.forEach((message, index) => {
+        if (index % every === 0 && next < photos.length) items.push({ photo: photos[next++] });
+        items.push({ message });
+    });
+    photos.slice(next).forEach(photo => items.push({ photo }));
+    return items;
+}
+
+function renderBookItem({ message, photo }, details) {
+    if (photo) {
+        return `
+            <figure class="photo">
+                <img src="${photo.dataUrl}" alt="">
+                <figcaption>
+                    <span class="age">${escapeHtml(photo.age)}</span>
+                    <span class="title">${escapeHtml(photo.title)}</span>
+                    <span class="caption">${escapeHtml(photo.caption)}</span>
+                </figcaption>
+            </figure>`;
+    }
+    // A printed page can't play a clip, so say one was left
+    const kind = message.media_type && message.media_type.split('/')[0];
+    const text = message.message || (kind ? `Left a ${kind === 'video' ? 'video' : 'voice'} message for ${details.shortName}` : '');
+    return `
+            <article class="wish">
+                <p class="text">${escapeHtml(text)}</p>
+                <p class="from">&mdash; ${escapeHtml(message.name)}</p>
+                <p class="date">${formatDate(message.created_at)}</p>
+            </article>`;
+}
+
+function renderBookHtml(event, messages, photos) {
+    const items = interleave(messages, photos);
+    const details = publicEvent(event);
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <link href="https://fonts.googleapis.com/css2?family=Cinzel:wght@400;600;700&family=Cormorant+Garamond:ital,wght@0,400;0,600;1,400&family=Great+Vibes&display=swap" rel="stylesheet">
+    <style>
+        @page { size: A4; margin: 22mm 20mm; }
+        * { box-sizing: border-box; }
+        body { margin: 0; color: #222; font-family: 'Cormorant Garamond', Georgia, serif; }
+
+        .cover {
+            height: 250mm;
+            display: flex;
+            flex-direction: column;
+            justify-content: center;
+            align-items: center;
+            text-align: center;
+            break-after: page;
+        }
+        .cover .script { font-family: 'Great Vibes', cursive; font-size: 42pt; color: #b8960c; }
+        .cover h1 { font-family: 'Cinzel', serif; font-size: 34pt; letter-spacing: 4px; margin: 10mm 0; }
+        .cover .rule { width: 60mm; height: 2px; background: #d4af37; margin: 6mm auto; }
+        .cover p { font-size: 15pt; font-style: italic; margin: 2mm 0; }
+
+        .wish {
+            break-inside: avoid;
+            padding: 8mm 0;
+            border-bottom: 1px solid #e8dcb0;
+        }
+        .wish .text { font-size: 15pt; line-height: 1.5; margin: 0 0 4mm; white-space: pre-wrap; }
+        .wish .from { font-family: 'Great Vibes', cursive; font-size: 22pt; color: #b8960c; margin: 0; }
+        .wish .date { font-family: 'Cinzel', serif; font-size: 8pt; letter-spacing: 2px; color: #888; margin: 1mm 0 0; }
+
+        .photo {
+            break-before: page;
+            break-after: page;
+            margin: 0;
+            text-align: center;
+        }
+        .photo img { max-width: 100%; max-height: 200mm; border: 6px solid #fff; box-shadow: 0 0 0 1px #d4af37; }
+        .photo figcaption { margin-top: 6mm; }
+        .photo .age { display: block; font-family: 'Cinzel', serif; font-size: 9pt; letter-spacing: 3px; color: #b8960c; }
+        .photo .title { display: block; font-family: 'Cinzel', serif; font-size: 18pt; margin: 2mm 0; }
+        .photo .caption { display: block; font-style: italic; font-size: 13pt; }
+
+        .empty { text-align: center; font-style: italic; font-size: 15pt; }
+    </style>
+</head>
+<body>
+    <section class="cover">
+        <div class="script">Happy Birthday</div>
+        <h1>${escapeHtml(details.honoree)}</h1>
+        <div class="rule"></div>
+        <p>Wishes from everyone who celebrated your ${escapeHtml(details.display.birthday.toLowerCase())}</p>
+        <p>${messages.length} message${messages.length === 1 ? '' : 's'} &middot; ${formatDate(new Date())}</p>
+    </section>
+    ${items.length ? items.map(item => renderBookItem(item, details)).join('') : '<p class="empty">No wishes have been approved yet.</p>'}
+</body>
+</html>`;
+}
+
+// Renders an event's approved wishes (oldest first) and the timeline photos
+// to a PDF buffer
+async function renderMemoryBook(storage, event) {
+    const [messages, photos] = await Promise.all([
+        storage.listMessages({ eventId: event.id, status: 'approved', sort: 'oldest' }),
+        loadTimelinePhotos(storage, event)
+    ]);
+    const html = renderBookHtml(event, messages, photos);
+
+    return withPage(async page => {
+        // Web fonts are nice to have; fall back to system fonts when offline
+        await page.setContent(html, { waitUntil: 'networkidle0', timeout: BOOK_RENDER_TIMEOUT_MS })
+            .catch(error => console.error('Memory book fonts did not finish loading:', error.message));
+        await page.evaluate(() => document.fonts.ready);
+
+        return page.pdf({
+            format: 'A4',
+            printBackground: true,
+            preferCSSPageSize: true,
+            displayHeaderFooter: true,
+            headerTemplate: '<span></span>',
+            footerTemplate: '<div style="width:100%;text-align:center;font-size:8px;color:#999;"><span class="pageNumber"></span></div>',
+            timeout: BOOK_RENDER_TIMEOUT_MS
+        });
+    });
+}
+
+module.exports = {
+    exportFilename,
+    buildJsonExport,
+    streamArchive,
+    renderMemoryBook
+};
@@ -0,0 +1,180 @@
+const crypto = require('crypto');
+const path = require('path');
+const { withPage } = require('./browser');
+
+// Renders the flyer page to PDFs and images: GET /api/flyer.pdf and
+// /api/flyer.png on the server, and generate-pdf.js from the command line.
+// The event is handed to the page as window.EVENT, so the output always
+// matches the event's current details.
+
+// Chrome lays pages out at 96 pixels to the inch
+const PX_PER_INCH = 96;
+
+const PAPER_SIZES = {
+    a4: { width: 8.27, height: 11.69 },
+    letter: { width: 8.5, height: 11 },
+    '4x6': { width: 4, height: 6 },
+    '5x7': { width: 5, height: 7 }
+};
+
+// Exact pixel sizes the flyer is fitted into
+const SOCIAL_PRESETS = {
+    'instagram-square': { width: 1080, height: 1080 },
+    'instagram-story': { width: 1080, height: 1920 },
+    // Portrait that WhatsApp shows uncropped in chats and status
+    'whatsapp': { width: 1080, height: 1350 }
+};
+
+// Width the flyer is laid out at before it's fitted to paper or a preset
+const LAYOUT_WIDTH = 600;
+const LAYOUT_HEIGHT = 1000;
+const LOAD_TIMEOUT_MS = 30000;
+
+// Animations are frozen where they'd be this far in, so every render of
+// the same page looks the same
+const ANIMATION_FRAME_MS = 1000;
+
+const FLYER_URL = `file://${path.join(__dirname, 'flyer.html')}`;
+
+// Waits for the page's web fonts and images (including any the page swaps
+// in for the event), then freezes its animations
+async function settle(page) {
+    await page.evaluate(async frameMs => {
+        await document.fonts.ready;
+        await Promise.all(Array.from(document.images, image => image.complete ? null
+            : new Promise(resolve => {
+                image.addEventListener('load', resolve, { once: true });
+                image.addEventListener('error', resolve, { once: true });
+            })));
+        document.getAnimations().forEach(animation => {
+            animation.pause();
+            animation.currentTime = frameMs;
+        });
+    }, ANIMATION_FRAME_MS);
+}
+
+async function contentHeight(page) {
+    return page.evaluate(() => document.documentElement.scrollHeight);
+}
+
+// Opens `url` with `event` (see calendar.js eventDetails) as window.EVENT,
+// or with the page's own details when `event` is null
+async function openFlyer(page, url, event, scale = 1) {
+    await page.setViewport({ width: LAYOUT_WIDTH, height: LAYOUT_HEIGHT, deviceScaleFactor: scale });
+    await page.emulateMediaType('screen');
+    if (event) {
+        // Set before the page's own scripts run, and kept even if the server
+        // rendered the page for another event
+        await page.evaluateOnNewDocument(details => {
+            Object.defineProperty(window, 'EVENT', { value: details, writable: false });
+        }, event);
+    }
+
+    // Fonts come from Google; offline the page still renders with fallbacks
+    await page.goto(url, { waitUntil: 'networkidle0', timeout: LOAD_TIMEOUT_MS })
+        .catch(error => console.error('Flyer did not finish loading:', error.message));
+    await settle(page);
+}
+
+// One page, shrunk or enlarged to fill the paper
+async function flyerPdf(page, paper) {
+    const size = PAPER_SIZES[paper];
+    const fit = Math.min(size.width * PX_PER_INCH / LAYOUT_WIDTH, size.height * PX_PER_INCH / await contentHeight(page));
+    return Buffer.from(await page.pdf({
+        width: `${size.width}in`,
+        height: `${size.height}in`,
+        scale: Math.min(2, Math.max(0.1, fit)),
+        pageRanges: '1',
+        printBackground: true,
+        margin: { top: '0', right: '0', bottom: '0', left: '0' }
+    }));
+}
+
+function imageOptions(format, quality) {
+    return format === 'png' ? { type: format } : { type: format, quality };
+}
+
+// The whole page at the scale it was opened with
+async function flyerImage(page, format = 'png', quality = 90) {
+    return Buffer.from(await page.screenshot({ fullPage: true, ...imageOptions(format, quality) }));
+}
+
+// The flyer centred in an image of the preset's exact size. The page is
+// laid out at least as wide as usual, then zoomed so the whole flyer fits.
+async function flyerPresetImage(page, preset, format = 'png', quality = 90) {
+    const size = SOCIAL_PRESETS[preset];
+    await page.setViewport({ width: LAYOUT_WIDTH, height: LAYOUT_HEIGHT, deviceScaleFactor: 1 });
+    const zoom = Math.min(size.width / LAYOUT_WIDTH, size.height / await contentHeight(page));
+    const clip = { x: 0, y: 0, width: size.width / zoom, height: size.height / zoom };
+
+    await page.setViewport({ width: Math.ceil(clip.width), height: Math.ceil(clip.height), deviceScaleFactor: zoom });
+    await settle(page);
+    return Buffer.from(await page.screenshot({ clip, ...imageOptions(format, quality) }));
+}
+
+// The top of the flyer, from the banner down to the divider under the
+// name, zoomed to the height of a `size` landscape image and centred on
+// the page background (link previews, see previews.js)
+async function flyerHeroImage(page, size) {
+    await page.setViewport({ width: LAYOUT_WIDTH, height: LAYOUT_HEIGHT, deviceScaleFactor: 1 });
+    const heroHeight = await page.evaluate(() => {
+        const body = parseFloat(getComputedStyle(document.body).paddingTop);
+        return document.querySelector('.divider').getBoundingClientRect().bottom + body;
+    });
+    const zoom = size.height / heroHeight;
+    const clip = { x: 0, y: 0, width: size.width / zoom, height: size.height / zoom };
+
+    await page.setViewport({ width: Math.ceil(clip.width), height: Math.ceil(clip.height), deviceScaleFactor: zoom });
+    await settle(page);
+    return Buffer.from(await page.screenshot({ clip, type: 'png' }));
+}
+
+// ---------- Server renders ----------
+
+// Finished renders by event details and output, so repeat downloads are
+// instant and an edited event gets a fresh flyer. Oldest dropped first.
+const CACHE_SIZE = 20;
+const renders = new Map();
+
+function cacheKey(event, output) {
+    return crypto.createHash('sha256').update(JSON.stringify({ event, output })).digest('hex');
+}
+
+// Renders the flyer for `event` (eventDetails) as { paper } PDF or
+// { preset } PNG (full page without one). Simultaneous requests for the
+// same flyer share one render.
+function renderFlyer(event, output) {
+    const key = cacheKey(event, output);
+    if (renders.has(key)) {
+        const render = renders.get(key);
+        renders.delete(key);
+        renders.set(key, render);
+        return render;
+    }
+
+    const render = withPage(async page => {
+        await openFlyer(page, FLYER_URL, event, output.preset ? 1 : 2);
+        if (output.paper) return flyerPdf(page, output.paper);
+        return output.preset ? flyerPresetImage(page, output.preset) : flyerImage(page);
+    });
+    renders.set(key, render);
+    render.catch(() => {
+        if (renders.get(key) === render) renders.delete(key);
+    });
+    while (renders.size > CACHE_SIZE) {
+        renders.delete(renders.keys().next().value);
+    }
+    return render;
+}
+
+module.exports = {
+    PAPER_SIZES,
+    SOCIAL_PRESETS,
+    FLYER_URL,
+    openFlyer,
+    flyerPdf,
+    flyerImage,
+    flyerPresetImage,
+    flyerHeroImage,
+    renderFlyer
+};
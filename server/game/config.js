@@ -117,6 +117,15 @@ export const CONFIG = {
         DRIFT_POINTS_PER_SEC: 50,
         SPEED_BONUS_THRESHOLD: 150,
         SPEED_BONUS_MULTIPLIER: 2
+    },
+
+    // Global leaderboard (server/leaderboard.js checks scores for this game)
+    LEADERBOARD: {
+        GAME: 'street-racing',
+        API_URL: window.location.hostname === 'localhost'
+            ? 'http://localhost:9001'
+            : 'https://ariel-birthday-production.up.railway.app',
+        NAME_KEY: 'racer-name'
     }
 };
 
@@ -0,0 +1,59 @@
+// ============================================
+// LEADERBOARD - Posts scores to the party server
+// ============================================
+
+import { CONFIG } from '../config.js';
+
+export class Leaderboard {
+    constructor() {
+        this.game = CONFIG.LEADERBOARD.GAME;
+        this.apiUrl = CONFIG.LEADERBOARD.API_URL;
+    }
+
+    // Last name used on this device, so repeat racers don't retype it
+    getSavedName() {
+        try {
+            return localStorage.getItem(CONFIG.LEADERBOARD.NAME_KEY) || '';
+        } catch (error) {
+            return '';
+        }
+    }
+
+    saveName(name) {
+        try {
+            localStorage.setItem(CONFIG.LEADERBOARD.NAME_KEY, name);
+        } catch (error) {
+            // Private browsing; the name just won't be remembered
+        }
+    }
+
+    async request(path, options) {
+        let response;
+        try {
+            response = await fetch(`${this.apiUrl}${path}`, options);
+        } catch (error) {
+            throw new Error('Could not reach the leaderboard');
+        }
+
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok) {
+            throw new Error(data.error || 'Leaderboard is unavailable');
+        }
+        return data;
+    }
+
+    // Resolves to { leaderboard }
+    fetchTop() {
+        return this.request(`/api/leaderboard/${this.game}`);
+    }
+
+    // Resolves to { rank, total, leaderboard }
+    submit({ playerName, score, time, stats }) {
+        this.saveName(playerName);
+        return this.request('/api/leaderboard', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ game: this.game, playerName, score, time, stats })
+        });
+    }
+}
@@ -484,6 +484,7 @@ export class HUD {
                 flex-direction: column;
                 align-items: center;
                 justify-content: center;
+                overflow-y: auto;
                 animation: fadeIn 0.5s ease-out;
             }
 
@@ -507,7 +508,88 @@ export class HUD {
                 font-weight: 900;
                 color: ${CONFIG.UI.COLORS.PRIMARY};
                 text-shadow: 0 0 30px rgba(212, 175, 55, 0.5);
-                margin-bottom: 50px;
+                margin-bottom: 30px;
+            }
+
+            /* Leaderboard */
+            .leaderboard-panel {
+                width: min(420px, 90vw);
+                margin-bottom: 30px;
+                padding: 15px 20px;
+                background: rgba(255, 255, 255, 0.05);
+                border: 1px solid rgba(212, 175, 55, 0.3);
+                border-radius: 10px;
+            }
+
+            .leaderboard-heading {
+                font-size: 14px;
+                letter-spacing: 3px;
+                color: ${CONFIG.UI.COLORS.PRIMARY};
+                text-align: center;
+                margin-bottom: 10px;
+            }
+
+            .leaderboard-form {
+                display: flex;
+                gap: 10px;
+                margin-bottom: 10px;
+            }
+
+            .leaderboard-form input {
+                flex: 1;
+                min-width: 0;
+                padding: 10px 12px;
+                background: rgba(0, 0, 0, 0.5);
+                border: 1px solid rgba(255, 255, 255, 0.3);
+                border-radius: 5px;
+                color: #fff;
+                font-size: 14px;
+            }
+
+            .leaderboard-form .gameover-btn {
+                padding: 10px 16px;
+                font-size: 12px;
+            }
+
+            .leaderboard-status {
+                min-height: 18px;
+                font-size: 14px;
+                color: rgba(255, 255, 255, 0.7);
+                text-align: center;
+                margin-bottom: 8px;
+            }
+
+            .leaderboard-status.error {
+                color: ${CONFIG.UI.COLORS.DANGER};
+            }
+
+            .leaderboard-list {
+                list-style: none;
+                font-size: 14px;
+            }
+
+            .leaderboard-list li {
+                display: flex;
+                gap: 10px;
+                padding: 5px 0;
+                border-bottom: 1px solid rgba(255, 255, 255, 0.08);
+            }
+
+            .leaderboard-list li.you {
+                color: ${CONFIG.UI.COLORS.SUCCESS};
+                font-weight: 700;
+            }
+
+            .leaderboard-rank {
+                width: 28px;
+                color: rgba(255, 255, 255, 0.5);
+            }
+
+            .leaderboard-name {
+                flex: 1;
+                overflow: hidden;
+                text-overflow: ellipsis;
+                white-space: nowrap;
             }
 
             .gameover-buttons {
@@ -852,6 +934,8 @@ export class HUD {
         screen.appendChild(score);
         this.elements.gameoverScore = score;
 
+        screen.appendChild(this.createLeaderboardPanel());
+
         const buttons = document.createElement('div');
         buttons.className = 'gameover-buttons';
 
@@ -872,6 +956,82 @@ export class HUD {
         this.elements.gameoverScreen = screen;
     }
 
+    createLeaderboardPanel() {
+        const panel = document.createElement('div');
+        panel.className = 'leaderboard-panel';
+
+        const heading = document.createElement('div');
+        heading.className = 'leaderboard-heading';
+        heading.textContent = 'TOP 10';
+        panel.appendChild(heading);
+
+        const form = document.createElement('form');
+        form.className = 'leaderboard-form';
+
+        const nameInput = document.createElement('input');
+        nameInput.type = 'text';
+        nameInput.maxLength = 30;
+        nameInput.placeholder = 'Your name';
+        nameInput.autocomplete = 'off';
+        form.appendChild(nameInput);
+
+        const submitBtn = document.createElement('button');
+        submitBtn.type = 'submit';
+        submitBtn.className = 'gameover-btn primary';
+        submitBtn.textContent = 'POST SCORE';
+        form.appendChild(submitBtn);
+        panel.appendChild(form);
+
+        const status = document.createElement('div');
+        status.className = 'leaderboard-status';
+        panel.appendChild(status);
+
+        const list = document.createElement('ol');
+        list.className = 'leaderboard-list';
+        panel.appendChild(list);
+
+        this.elements.leaderboardForm = form;
+        this.elements.leaderboardName = nameInput;
+        this.elements.leaderboardSubmit = submitBtn;
+        this.elements.leaderboardStatus = status;
+        this.elements.leaderboardList = list;
+        return panel;
+    }
+
+    setLeaderboardStatus(text, isError = false) {
+        this.elements.leaderboardStatus.textContent = text;
+        this.elements.leaderboardStatus.classList.toggle('error', isError);
+    }
+
+    renderLeaderboard(entries, highlightId = null) {
+        const list = this.elements.leaderboardList;
+        list.innerHTML = '';
+
+        if (entries.length === 0) {
+            this.setLeaderboardStatus('No scores yet - be the first!');
+            return;
+        }
+
+        entries.forEach((entry, i) => {
+            const row = document.createElement('li');
+            if (String(entry.id) === String(highlightId)) row.className = 'you';
+
+            const rank = document.createElement('span');
+            rank.className = 'leaderboard-rank';
+            rank.textContent = i + 1;
+
+            const name = document.createElement('span');
+            name.className = 'leaderboard-name';
+            name.textContent = entry.player_name;
+
+            const points = document.createElement('span');
+            points.textContent = entry.score.toLocaleString();
+
+            row.append(rank, name, points);
+            list.appendChild(row);
+        });
+    }
+
     createMobileControls() {
         const controls = document.createElement('div');
         controls.className = 'mobile-controls';
@@ -1050,10 +1210,52 @@ export class HUD {
             this.hideGameOver();
         };
 
+        this.showLeaderboard(options);
+
         this.elements.gameoverScreen.style.display = 'flex';
         this.hide();
     }
 
+    showLeaderboard(options) {
+        const { leaderboardForm, leaderboardName, leaderboardSubmit } = this.elements;
+
+        leaderboardForm.style.display = options.onSubmitScore ? 'flex' : 'none';
+        leaderboardName.value = options.playerName || '';
+        leaderboardSubmit.disabled = false;
+        this.elements.leaderboardList.innerHTML = '';
+        this.setLeaderboardStatus('Loading leaderboard...');
+
+        if (options.loadLeaderboard) {
+            options.loadLeaderboard()
+                .then(({ leaderboard }) => {
+                    this.setLeaderboardStatus('');
+                    this.renderLeaderboard(leaderboard);
+                })
+                .catch(error => this.setLeaderboardStatus(error.message, true));
+        }
+
+        leaderboardForm.onsubmit = async (e) => {
+            e.preventDefault();
+            const playerName = leaderboardName.value.trim();
+            if (!playerName) {
+                this.setLeaderboardStatus('Enter your name to post your score', true);
+                return;
+            }
+
+            leaderboardSubmit.disabled = true;
+            this.setLeaderboardStatus('Posting score...');
+            try {
+                const { id, rank, total, leaderboard } = await options.onSubmitScore(playerName);
+                leaderboardForm.style.display = 'none';
+                this.setLeaderboardStatus(`You placed #${rank} of ${total}!`);
+                this.renderLeaderboard(leaderboard, id);
+            } catch (error) {
+                leaderboardSubmit.disabled = false;
+                this.setLeaderboardStatus(error.message, true);
+            }
+        };
+    }
+
     hideGameOver() {
         this.elements.gameoverScreen.style.display = 'none';
     }
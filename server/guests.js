@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const { MAX_NAME_LENGTH } = require('./spam');
+
+// Personal invitations (see migration 012). Each guest on an event's list
+// has a link, /i/<token>, that greets them by name, fills in the RSVP form
+// and counts as the invitation being opened.
+const MAX_HOUSEHOLD_LENGTH = 100;
+const MAX_CONTACT_LENGTH = 255;
+// 12 random bytes: 16 URL-safe characters, short enough for a text message
+const TOKEN_BYTES = 12;
+const TOKEN_PATTERN = /^[\w-]{16}$/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function createToken() {
+    return crypto.randomBytes(TOKEN_BYTES).toString('base64url');
+}
+
+function isToken(value) {
+    return typeof value === 'string' && TOKEN_PATTERN.test(value);
+}
+
+function optionalText(value) {
+    return typeof value === 'string' && value.trim() ? value.trim() : null;
+}
+
+// Returns { entry } ready for storage, or { error } describing the problem.
+// Contact is an email address or phone number, whichever the host has.
+function validateGuest(body) {
+    const name = optionalText(body.name);
+    const household = optionalText(body.household);
+    const contact = optionalText(body.contact);
+
+    if (!name) {
+        return { error: 'Guest name is required' };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return { error: `Name must be ${MAX_NAME_LENGTH} characters or fewer` };
+    }
+    if (household && household.length > MAX_HOUSEHOLD_LENGTH) {
+        return { error: `Household must be ${MAX_HOUSEHOLD_LENGTH} characters or fewer` };
+    }
+    if (contact && contact.length > MAX_CONTACT_LENGTH) {
+        return { error: `Contact must be ${MAX_CONTACT_LENGTH} characters or fewer` };
+    }
+
+    return { entry: { name, household, contact } };
+}
+
+function contactEmail(guest) {
+    return guest.contact && EMAIL_PATTERN.test(guest.contact) ? guest.contact.toLowerCase() : null;
+}
+
+function inviteUrl(guest, siteUrl) {
+    return `${siteUrl}/i/${guest.token}/`;
+}
+
+// The event as a guest's own pages see it (details from calendar.js
+// eventDetails): who they are, and their link in place of the public one
+function guestDetails(details, guest, siteUrl) {
+    return {
+        ...details,
+        guest: {
+            name: guest.name,
+            household: guest.household,
+            email: contactEmail(guest),
+            greeting: guest.household || guest.name
+        },
+        links: { ...details.links, invitation: inviteUrl(guest, siteUrl) }
+    };
+}
+
+// The guest's RSVP: the one from their email address, or failing that one
+// under their name
+function findGuestRsvp(guest, rsvps) {
+    const email = contactEmail(guest);
+    const name = guest.name.toLowerCase();
+    return rsvps.find(rsvp => email && rsvp.email === email) ||
+        rsvps.find(rsvp => rsvp.name.trim().toLowerCase() === name) ||
+        null;
+}
+
+module.exports = {
+    createToken,
+    isToken,
+    validateGuest,
+    inviteUrl,
+    guestDetails,
+    findGuestRsvp
+};
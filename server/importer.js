@@ -0,0 +1,206 @@
+const { MAX_NAME_LENGTH, MAX_MESSAGE_LENGTH } = require('./spam');
+const { uploadParser } = require('./uploads');
+
+// Restoring messages from a backup: the dashboard's CSV export or the JSON
+// export from /api/export/messages.json (or the messages.json inside the ZIP).
+// Rows keep their original timestamps and status; rows that match a message
+// already stored (same name and text) are skipped rather than duplicated.
+const MAX_IMPORT_MB = 5;
+const MAX_IMPORT_ROWS = 5000;
+const MESSAGE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Backups from before moderation have no status column; those messages were
+// all public, like the rows migration 001 backfilled
+const DEFAULT_IMPORT_STATUS = 'approved';
+
+// Small clock skew between browser and server shouldn't fail a fresh backup
+const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+
+// Header names accepted for each field, lowercased
+const COLUMNS = {
+    name: ['name'],
+    message: ['message'],
+    status: ['status'],
+    createdAt: ['submitted at', 'created_at', 'created at', 'createdat', 'date']
+};
+
+const parseImportUpload = uploadParser({ field: 'file', maxMb: MAX_IMPORT_MB, noun: 'Backups' });
+
+// RFC 4180 CSV: quoted cells may hold commas, newlines and doubled quotes
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+    if (cell || row.length) {
+        row.push(cell);
+        rows.push(row);
+    }
+    return rows.filter(cells => cells.some(value => value.trim()));
+}
+
+function csvRecords(text) {
+    const [header, ...rows] = parseCsv(text);
+    if (!header) return { error: 'The file is empty' };
+
+    const names = header.map(value => value.trim().toLowerCase());
+    const index = {};
+    for (const [field, aliases] of Object.entries(COLUMNS)) {
+        index[field] = names.findIndex(name => aliases.includes(name));
+    }
+    if (index.name < 0 || index.message < 0) {
+        return { error: 'The CSV needs Name and Message columns' };
+    }
+
+    // Row numbers match a spreadsheet: the header is row 1
+    return {
+        records: rows.map((cells, i) => {
+            const record = { label: `Row ${i + 2}` };
+            for (const field of Object.keys(COLUMNS)) {
+                record[field] = index[field] >= 0 ? cells[index[field]] : undefined;
+            }
+            return record;
+        })
+    };
+}
+
+function jsonRecords(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { error: 'The file is not valid JSON' };
+    }
+
+    const messages = Array.isArray(data) ? data : data && data.messages;
+    if (!Array.isArray(messages)) {
+        return { error: 'The JSON needs a list of messages' };
+    }
+
+    return {
+        records: messages.map((entry, i) => ({
+            label: `Entry ${i + 1}`,
+            name: entry && entry.name,
+            message: entry && entry.message,
+            status: entry && entry.status,
+            createdAt: entry && (entry.created_at || entry.createdAt)
+        }))
+    };
+}
+
+// Returns { records } read from the uploaded file, or { error }
+function readBackup(buffer, filename = '') {
+    const text = buffer.toString('utf8').replace(/^\uFEFF/, '');
+    const isJson = /\.json$/i.test(filename) || /^\s*[[{]/.test(text);
+    const result = isJson ? jsonRecords(text) : csvRecords(text);
+
+    if (result.records && result.records.length === 0) {
+        return { error: 'The file has no messages' };
+    }
+    if (result.records && result.records.length > MAX_IMPORT_ROWS) {
+        return { error: `Backups can hold at most ${MAX_IMPORT_ROWS} messages` };
+    }
+    return result;
+}
+
+// The dashboard CSV writes local times without a zone ("10/19/2026, 6:02:10 PM");
+// those are read in the uploader's zone, given as minutes like getTimezoneOffset()
+function parseTimestamp(value, timezoneOffset) {
+    const text = String(value).trim();
+    const hasZone = /(z|[+-]\d{2}:?\d{2}|utc|gmt)$/i.test(text);
+    const utcText = /^\d{4}-\d{2}-\d{2}T/.test(text) ? `${text}Z` : `${text} UTC`;
+    const time = Date.parse(hasZone ? text : utcText);
+    if (isNaN(time)) return null;
+    return hasZone ? time : time + timezoneOffset * 60 * 1000;
+}
+
+// Returns { entry } ready for storage, or { error } describing the problem
+function validateRecord(record, timezoneOffset) {
+    const name = typeof record.name === 'string' ? record.name.trim() : '';
+    const message = typeof record.message === 'string' ? record.message.trim() : '';
+    const status = record.status ? String(record.status).trim().toLowerCase() : DEFAULT_IMPORT_STATUS;
+
+    if (!name || !message) {
+        return { error: 'Name and message are required' };
+    }
+    if (name.length > MAX_NAME_LENGTH) {
+        return { error: `Name must be ${MAX_NAME_LENGTH} characters or fewer` };
+    }
+    if (message.length > MAX_MESSAGE_LENGTH) {
+        return { error: `Message must be ${MAX_MESSAGE_LENGTH} characters or fewer` };
+    }
+    if (!MESSAGE_STATUSES.includes(status)) {
+        return { error: `Unknown status "${record.status}"` };
+    }
+    if (!record.createdAt) {
+        return { error: 'Submitted date is required' };
+    }
+
+    const time = parseTimestamp(record.createdAt, timezoneOffset);
+    if (time === null) {
+        return { error: `Unrecognised date "${record.createdAt}"` };
+    }
+    if (time > Date.now() + FUTURE_TOLERANCE_MS) {
+        return { error: 'Submitted date is in the future' };
+    }
+
+    return { entry: { name, message, status, createdAt: new Date(time).toISOString() } };
+}
+
+function dedupeKey({ name, message }) {
+    return `${name.trim().toLowerCase()}\n${message.trim().toLowerCase()}`;
+}
+
+// Sorts the records into entries to insert, duplicates and per-row errors
+function planImport(records, existingMessages, { timezoneOffset = 0 } = {}) {
+    const seen = new Set(existingMessages.map(dedupeKey));
+    const entries = [];
+    const duplicates = [];
+    const errors = [];
+
+    for (const record of records) {
+        const { entry, error } = validateRecord(record, timezoneOffset);
+        if (error) {
+            errors.push({ row: record.label, error });
+        } else if (seen.has(dedupeKey(entry))) {
+            duplicates.push({ row: record.label, name: entry.name });
+        } else {
+            seen.add(dedupeKey(entry));
+            entries.push(entry);
+        }
+    }
+    return { entries, duplicates, errors };
+}
+
+module.exports = {
+    parseImportUpload,
+    readBackup,
+    planImport
+};
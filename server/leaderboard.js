@@ -0,0 +1,121 @@
+const { containsBlockedContent } = require('./spam');
+
+// Global leaderboard for the racing games.
+// Each game sends its score together with the stats it was built from; the
+// server recomputes the score from those stats and rejects anything the game
+// could not have produced in the reported time.
+const LEADERBOARD_SIZE = 10;
+const MAX_PLAYER_NAME_LENGTH = 30;
+
+// requestAnimationFrame rate assumed when bounding per-frame scoring.
+// Generous on purpose: some monitors run at 144Hz.
+const MAX_FPS = 144;
+
+// `title` and `scoreLabel` go on shared score cards (see previews.js);
+// `page` is the page on this server that plays the game, if any.
+const GAMES = {
+    // game.html: 2D Grand Prix. `progress` is the percentage of the
+    // 300-unit race covered; the car moves at most 0.25 units a frame,
+    // a gift spawns every 4s and a traffic car every 2.5s.
+    'grand-prix': {
+        title: "Ariel's Birthday Grand Prix",
+        scoreLabel: 'points',
+        page: 'game.html',
+        stats: ['progress', 'gifts', 'dodges'],
+        maxTimeMs: 30 * 60 * 1000,
+        score: ({ progress, gifts, dodges }) => progress * 10 + gifts * 50 + dodges * 20,
+        isPlausible: ({ progress, gifts, dodges }, timeMs) =>
+            progress <= 100 &&
+            (progress * 3) / (0.25 * MAX_FPS) <= timeMs / 1000 &&
+            gifts <= Math.floor(timeMs / 4000) + 1 &&
+            dodges <= Math.floor(timeMs / 2500) + 2
+    },
+
+    // server/game-3d.html: 4 minute championship against the F1 drivers.
+    // Score is the distance driven; top speed is 260 and the car covers
+    // half its speed in track units per second. Ariel always takes 1st.
+    championship: {
+        title: 'Race Against Mr. President',
+        scoreLabel: 'distance',
+        page: 'game-3d.html',
+        stats: ['distance', 'position', 'topSpeed'],
+        maxTimeMs: 241 * 1000,
+        score: ({ distance }) => distance,
+        isPlausible: ({ distance, position, topSpeed }, timeMs) =>
+            distance <= 5000 + 130 &&
+            distance <= 130 * (timeMs / 1000) + 1 &&
+            position >= 2 && position <= 7 &&
+            topSpeed <= 260
+    },
+
+    // game-3d.html (game/main.js): endless street racing scored on near
+    // misses, 100 points each, counted every frame for up to 8 cars.
+    'street-racing': {
+        title: 'Birthday Street Racing',
+        scoreLabel: 'points',
+        page: null,
+        stats: ['nearMisses'],
+        maxTimeMs: 2 * 60 * 60 * 1000,
+        score: ({ nearMisses }) => nearMisses * 100,
+        isPlausible: ({ nearMisses }, timeMs) =>
+            nearMisses <= 8 * MAX_FPS * (timeMs / 1000)
+    }
+};
+
+function isGame(game) {
+    return Object.prototype.hasOwnProperty.call(GAMES, game);
+}
+
+// The game played on `page` (e.g. 'game.html'), or null
+function gameForPage(page) {
+    return Object.keys(GAMES).find(game => GAMES[game].page === page) || null;
+}
+
+// How a game's scores are shown on shared score cards
+function gameCard(game) {
+    const { title, scoreLabel, page } = GAMES[game];
+    return { game, title, scoreLabel, page };
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+// Returns { entry } ready for storage, or { error } describing the problem
+function validateScore(input) {
+    const { game, playerName, score, time, stats } = input || {};
+
+    if (!isGame(game)) {
+        return { error: 'Unknown game' };
+    }
+    if (typeof playerName !== 'string' || !playerName.trim()) {
+        return { error: 'Player name is required' };
+    }
+    if (playerName.trim().length > MAX_PLAYER_NAME_LENGTH) {
+        return { error: `Player name must be ${MAX_PLAYER_NAME_LENGTH} characters or fewer` };
+    }
+    if (containsBlockedContent(playerName)) {
+        return { error: 'That player name is not allowed' };
+    }
+
+    const rules = GAMES[game];
+    if (!isCount(score) || !isCount(time) || time === 0) {
+        return { error: 'Score and time must be whole numbers' };
+    }
+    if (!stats || typeof stats !== 'object' || !rules.stats.every(key => isCount(stats[key]))) {
+        return { error: `Stats must include ${rules.stats.join(', ')}` };
+    }
+
+    const cleanStats = {};
+    rules.stats.forEach(key => { cleanStats[key] = stats[key]; });
+
+    if (time > rules.maxTimeMs || rules.score(cleanStats) !== score || !rules.isPlausible(cleanStats, time)) {
+        return { error: "That score doesn't add up" };
+    }
+
+    return {
+        entry: { game, playerName: playerName.trim(), score, timeMs: time, stats: cleanStats }
+    };
+}
+
+module.exports = { LEADERBOARD_SIZE, isGame, gameForPage, gameCard, validateScore };
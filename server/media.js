@@ -0,0 +1,286 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { UPLOAD_DIR } = require('./photos');
+const { UploadError, uploadParser } = require('./uploads');
+
+// Voice and video wishes: a short clip recorded in the browser with
+// MediaRecorder (or uploaded) and stored as-is next to the photo uploads.
+// The declared MIME type is checked against the file's magic bytes, and the
+// length is read from the file: the container's header for WebM and MP4,
+// the last page for Ogg and the frames themselves for MP3. MediaRecorder's
+// WebM and fragmented MP4 don't record one, so for those the length the
+// browser measured is used; the size limit bounds it either way.
+const MEDIA_DIR = path.join(UPLOAD_DIR, 'media');
+const MAX_MEDIA_MB = parseFloat(process.env.MAX_MEDIA_MB) || 25;
+const MAX_MEDIA_SECONDS = parseFloat(process.env.MAX_MEDIA_SECONDS) || 60;
+
+// Recorders stop a moment after the timer runs out
+const DURATION_TOLERANCE_SECONDS = 1.5;
+
+// Containers whose length may be missing from the file, where the length
+// the browser reports is used instead
+const REPORTED_DURATION_CONTAINERS = ['webm', 'mp4'];
+
+const MEDIA_TYPES = {
+    'audio/webm': { kind: 'audio', container: 'webm', extension: 'webm' },
+    'audio/ogg': { kind: 'audio', container: 'ogg', extension: 'ogg' },
+    'audio/mp4': { kind: 'audio', container: 'mp4', extension: 'm4a' },
+    'audio/mpeg': { kind: 'audio', container: 'mp3', extension: 'mp3' },
+    'video/webm': { kind: 'video', container: 'webm', extension: 'webm' },
+    'video/mp4': { kind: 'video', container: 'mp4', extension: 'mp4' },
+    'video/quicktime': { kind: 'video', container: 'mp4', extension: 'mov' }
+};
+
+// Other names browsers give the same formats
+const MEDIA_TYPE_ALIASES = {
+    'audio/x-m4a': 'audio/mp4',
+    'audio/m4a': 'audio/mp4',
+    'audio/mp3': 'audio/mpeg'
+};
+
+// "audio/webm;codecs=opus" -> "audio/webm"
+function mediaType(mimetype) {
+    const type = String(mimetype || '').split(';')[0].trim().toLowerCase();
+    return MEDIA_TYPE_ALIASES[type] || type;
+}
+
+const parseMediaUpload = uploadParser({
+    field: 'media',
+    maxMb: MAX_MEDIA_MB,
+    noun: 'Clips',
+    fileFilter(req, file, callback) {
+        if (!MEDIA_TYPES[mediaType(file.mimetype)]) {
+            return callback(new UploadError('Only WebM, MP4, MOV, M4A, Ogg or MP3 clips are allowed', 415));
+        }
+        callback(null, true);
+    }
+});
+
+// ---------- Containers ----------
+
+function sniffContainer(buffer) {
+    if (buffer.length < 12) return null;
+    if (buffer.readUInt32BE(0) === 0x1A45DFA3) return 'webm';
+    if (buffer.toString('latin1', 0, 4) === 'OggS') return 'ogg';
+    if (['ftyp', 'moov', 'mdat', 'wide', 'free'].includes(buffer.toString('latin1', 4, 8))) return 'mp4';
+    if (buffer.toString('latin1', 0, 3) === 'ID3' || (buffer[0] === 0xFF && (buffer[1] & 0xE0) === 0xE0)) return 'mp3';
+    return null;
+}
+
+// EBML variable-length integer: IDs keep their length marker, sizes drop it
+function readVint(buffer, offset, keepMarker) {
+    const first = buffer[offset];
+    if (!first) return null;
+    let length = 1;
+    while (!(first & (0x80 >> (length - 1)))) length++;
+    if (offset + length > buffer.length) return null;
+
+    let value = keepMarker ? first : first & (0xFF >> length);
+    for (let i = 1; i < length; i++) value = value * 256 + buffer[offset + i];
+    return { length, value };
+}
+
+const EBML_SEGMENT = 0x18538067;
+const EBML_INFO = 0x1549A966;
+const EBML_TIMECODE_SCALE = 0x2AD7B1;
+const EBML_DURATION = 0x4489;
+const EBML_CLUSTER = 0x1F43B675;
+
+// Segment > Info > Duration, in TimecodeScale units (nanoseconds each)
+function webmDuration(buffer) {
+    let offset = 0;
+    let end = buffer.length;
+    let scale = 1000000;
+    let duration = null;
+
+    while (offset < end) {
+        const id = readVint(buffer, offset, true);
+        const size = id && readVint(buffer, offset + id.length, false);
+        if (!size) break;
+        const start = offset + id.length + size.length;
+        const stop = Math.min(start + size.value, buffer.length);
+
+        if (id.value === EBML_SEGMENT || id.value === EBML_INFO) {
+            // Step inside; the Segment's size is often "unknown" while recording
+            if (id.value === EBML_INFO) end = stop;
+            offset = start;
+            continue;
+        }
+        if (id.value === EBML_CLUSTER) break;
+        if (id.value === EBML_TIMECODE_SCALE) scale = buffer.readUIntBE(start, Math.min(size.value, 6));
+        if (id.value === EBML_DURATION) duration = size.value === 4 ? buffer.readFloatBE(start) : buffer.readDoubleBE(start);
+        offset = stop;
+    }
+    return duration > 0 ? duration * scale / 1e9 : null;
+}
+
+function findBox(buffer, start, end, type) {
+    let offset = start;
+    while (offset + 8 <= end) {
+        let size = buffer.readUInt32BE(offset);
+        let header = 8;
+        if (size === 1 && offset + 16 <= end) {
+            size = Number(buffer.readBigUInt64BE(offset + 8));
+            header = 16;
+        } else if (size === 0) {
+            size = end - offset;
+        }
+        if (size < header) return null;
+        if (buffer.toString('latin1', offset + 4, offset + 8) === type) {
+            return { start: offset + header, end: Math.min(offset + size, end) };
+        }
+        offset += size;
+    }
+    return null;
+}
+
+// moov > mvhd holds the timescale and duration (version 1 uses 64-bit times)
+function mp4Duration(buffer) {
+    const moov = findBox(buffer, 0, buffer.length, 'moov');
+    const mvhd = moov && findBox(buffer, moov.start, moov.end, 'mvhd');
+    if (!mvhd || mvhd.end - mvhd.start < 32) return null;
+
+    const version = buffer[mvhd.start];
+    const timescale = buffer.readUInt32BE(mvhd.start + (version === 1 ? 20 : 12));
+    const duration = version === 1
+        ? Number(buffer.readBigUInt64BE(mvhd.start + 24))
+        : buffer.readUInt32BE(mvhd.start + 16);
+    return timescale && duration ? duration / timescale : null;
+}
+
+// The last page's granule position counts samples: at 48kHz after the
+// pre-skip for Opus, at the identification header's rate for Vorbis
+function oggDuration(buffer) {
+    const packet = 27 + buffer[26];
+    let rate = null;
+    let preSkip = 0;
+    if (buffer.toString('latin1', packet, packet + 8) === 'OpusHead') {
+        rate = 48000;
+        preSkip = buffer.readUInt16LE(packet + 10);
+    } else if (buffer.toString('latin1', packet, packet + 7) === '\x01vorbis') {
+        rate = buffer.readUInt32LE(packet + 12);
+    }
+
+    const last = buffer.lastIndexOf('OggS');
+    if (!rate || last < 0 || last + 14 > buffer.length) return null;
+    const samples = Number(buffer.readBigInt64LE(last + 6)) - preSkip;
+    return samples > 0 ? samples / rate : null;
+}
+
+// Kilobits per second by bitrate index: MPEG-1 layers I, II, III, then
+// MPEG-2/2.5 layer I and layers II and III
+const MP3_BITRATES = {
+    '1-1': [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    '1-2': [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+    '1-3': [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+    '2-1': [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    '2-2': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+    '2-3': [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160]
+};
+// By the header's version bits: MPEG-2.5, (reserved), MPEG-2, MPEG-1
+const MP3_SAMPLE_RATES = [[11025, 12000, 8000], null, [22050, 24000, 16000], [44100, 48000, 32000]];
+
+// Length and play time of the MPEG audio frame at `offset`, or null
+function mp3Frame(buffer, offset) {
+    if (offset + 4 > buffer.length || buffer[offset] !== 0xFF || (buffer[offset + 1] & 0xE0) !== 0xE0) return null;
+    const versionBits = (buffer[offset + 1] >> 3) & 3;
+    const layer = 4 - ((buffer[offset + 1] >> 1) & 3);
+    const bitrateIndex = buffer[offset + 2] >> 4;
+    const rateIndex = (buffer[offset + 2] >> 2) & 3;
+    const padding = (buffer[offset + 2] >> 1) & 1;
+    if (!MP3_SAMPLE_RATES[versionBits] || layer === 4 || rateIndex === 3 || bitrateIndex === 0 || bitrateIndex === 15) {
+        return null;
+    }
+
+    const mpeg1 = versionBits === 3;
+    const bitrate = MP3_BITRATES[`${mpeg1 ? 1 : 2}-${layer}`][bitrateIndex] * 1000;
+    const rate = MP3_SAMPLE_RATES[versionBits][rateIndex];
+    const samples = layer === 1 ? 384 : layer === 3 && !mpeg1 ? 576 : 1152;
+    const length = layer === 1
+        ? (Math.floor(12 * bitrate / rate) + padding) * 4
+        : Math.floor(samples / 8 * bitrate / rate) + padding;
+    return { length, seconds: samples / rate };
+}
+
+// Adds up the frames after any ID3v2 tag; stops at the first thing that
+// isn't a frame (an ID3v1 tag, or junk)
+function mp3Duration(buffer) {
+    let offset = 0;
+    if (buffer.toString('latin1', 0, 3) === 'ID3' && buffer.length >= 10) {
+        const size = (buffer[6] << 21) | (buffer[7] << 14) | (buffer[8] << 7) | buffer[9];
+        offset = 10 + size + (buffer[5] & 0x10 ? 10 : 0);
+    }
+
+    let duration = 0;
+    let frame;
+    while ((frame = mp3Frame(buffer, offset))) {
+        duration += frame.seconds;
+        offset += frame.length;
+    }
+    return duration > 0 ? duration : null;
+}
+
+function containerDuration(buffer, container) {
+    try {
+        if (container === 'webm') return webmDuration(buffer);
+        if (container === 'mp4') return mp4Duration(buffer);
+        if (container === 'ogg') return oggDuration(buffer);
+        if (container === 'mp3') return mp3Duration(buffer);
+    } catch (error) {
+        // A truncated header just means we fall back to the reported length
+    }
+    return null;
+}
+
+// ---------- Files ----------
+
+// Checks an uploaded clip is what it claims to be and within the length
+// limit; returns { type, kind, extension, duration } or throws UploadError
+function checkMedia(file, reportedDuration) {
+    const type = mediaType(file.mimetype);
+    const format = MEDIA_TYPES[type];
+
+    if (!format || sniffContainer(file.buffer) !== format.container) {
+        throw new UploadError('That file is not a readable audio or video clip', 415);
+    }
+
+    const measured = containerDuration(file.buffer, format.container);
+    const reported = REPORTED_DURATION_CONTAINERS.includes(format.container) ? parseFloat(reportedDuration) : null;
+    const duration = measured !== null ? measured : reported;
+    if (!(duration > 0)) {
+        throw new UploadError('Could not tell how long the clip is');
+    }
+    if (duration > MAX_MEDIA_SECONDS + DURATION_TOLERANCE_SECONDS) {
+        throw new UploadError(`Clips can be up to ${MAX_MEDIA_SECONDS} seconds long`, 413);
+    }
+
+    return { type, kind: format.kind, extension: format.extension, duration: Math.round(duration * 10) / 10 };
+}
+
+async function saveMedia(buffer, extension) {
+    await fs.promises.mkdir(MEDIA_DIR, { recursive: true });
+    const filename = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}.${extension}`;
+    await fs.promises.writeFile(path.join(MEDIA_DIR, filename), buffer);
+    return filename;
+}
+
+function mediaFilePath(message) {
+    return path.join(MEDIA_DIR, message.media_filename);
+}
+
+// Deletes the clips of purged messages
+async function removeMediaFiles(messages) {
+    await Promise.all(messages
+        .filter(message => message.media_filename)
+        .map(message => fs.promises.unlink(mediaFilePath(message)).catch(() => {})));
+}
+
+module.exports = {
+    MAX_MEDIA_SECONDS,
+    parseMediaUpload,
+    checkMedia,
+    saveMedia,
+    mediaFilePath,
+    removeMediaFiles
+};
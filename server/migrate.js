@@ -0,0 +1,80 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations.
+// Each file in migrations/ is named "<version>_<description>.sql" and runs
+// once, in version order, inside its own transaction. Applied versions are
+// recorded in schema_migrations. Never edit a migration that has shipped;
+// add a new one instead.
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary key for pg_advisory_lock so two instances starting at once
+// don't apply the same migration twice
+const MIGRATION_LOCK_ID = 7240124;
+
+function loadMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.sql$/.test(file))
+        .map(file => ({
+            version: parseInt(file.split('_')[0], 10),
+            name: file,
+            sql: fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8')
+        }))
+        .sort((a, b) => a.version - b.version);
+}
+
+async function runMigrations(pool) {
+    const client = await pool.connect();
+
+    try {
+        await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_ID]);
+        await client.query(`
+            CREATE TABLE IF NOT EXISTS schema_migrations (
+                version INTEGER PRIMARY KEY,
+                name VARCHAR(255) NOT NULL,
+                applied_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+            )
+        `);
+
+        const result = await client.query('SELECT version FROM schema_migrations');
+        const applied = new Set(result.rows.map(row => row.version));
+        const pending = loadMigrations().filter(migration => !applied.has(migration.version));
+
+        for (const migration of pending) {
+            try {
+                await client.query('BEGIN');
+                await client.query(migration.sql);
+                await client.query(
+                    'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+                    [migration.version, migration.name]
+                );
+                await client.query('COMMIT');
+                console.log(`Applied migration ${migration.name}`);
+            } catch (error) {
+                await client.query('ROLLBACK');
+                throw new Error(`Migration ${migration.name} failed: ${error.message}`);
+            }
+        }
+
+        if (pending.length === 0) {
+            console.log('Database schema is up to date');
+        }
+    } finally {
+        await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_ID]).catch(() => {});
+        client.release();
+    }
+}
+
+module.exports = { runMigrations };
+
+// CLI: node migrate.js applies pending migrations and exits
+if (require.main === module) {
+    const pool = require('./db');
+
+    runMigrations(pool)
+        .catch(error => {
+            console.error(error.message);
+            process.exitCode = 1;
+        })
+        .finally(() => pool.end());
+}
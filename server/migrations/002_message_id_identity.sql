@@ -0,0 +1,11 @@
+-- Message ids used to be Date.now() from the app, so two guests posting in
+-- the same millisecond collided. Let the database generate them instead,
+-- continuing after the largest timestamp-based id already stored.
+
+ALTER TABLE messages ALTER COLUMN id ADD GENERATED BY DEFAULT AS IDENTITY;
+
+SELECT setval(
+    pg_get_serial_sequence('messages', 'id'),
+    COALESCE((SELECT MAX(id) FROM messages), 0) + 1,
+    false
+);
@@ -0,0 +1,18 @@
+-- Guest party photo uploads. Files live in UPLOAD_DIR; the table tracks
+-- who sent them and whether they have been approved for the album.
+
+CREATE TABLE photos (
+    id SERIAL PRIMARY KEY,
+    filename VARCHAR(255) NOT NULL,
+    thumbnail VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255),
+    uploader_name VARCHAR(255),
+    caption VARCHAR(255),
+    width INTEGER,
+    height INTEGER,
+    size_bytes INTEGER,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX photos_status_idx ON photos (status, created_at DESC);
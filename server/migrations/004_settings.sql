@@ -0,0 +1,7 @@
+-- Small JSON documents edited from the dashboard (e.g. the photo catalog)
+
+CREATE TABLE settings (
+    key VARCHAR(100) PRIMARY KEY,
+    value JSONB NOT NULL,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,15 @@
+-- Racing game leaderboard. One row per finished race; `game` says which
+-- of the racing games it came from and `stats` keeps the per-game details
+-- the score was checked against.
+
+CREATE TABLE scores (
+    id SERIAL PRIMARY KEY,
+    game VARCHAR(50) NOT NULL,
+    player_name VARCHAR(255) NOT NULL,
+    score INTEGER NOT NULL,
+    time_ms INTEGER NOT NULL,
+    stats JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX scores_game_rank_idx ON scores (game, score DESC, time_ms ASC);
@@ -0,0 +1,6 @@
+-- Full-text search over guest names and messages on the dashboard.
+-- The expression must match the one in storage/postgres.js for the index
+-- to be used.
+
+CREATE INDEX messages_search_idx ON messages
+    USING GIN (to_tsvector('simple', name || ' ' || message));
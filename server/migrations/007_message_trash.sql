@@ -0,0 +1,7 @@
+-- Deleting a message from the dashboard moves it to the trash instead of
+-- removing the row; it can be restored until it's purged, either by hand
+-- or automatically once it has been in the trash for TRASH_RETENTION_DAYS.
+
+ALTER TABLE messages ADD COLUMN deleted_at TIMESTAMP;
+
+CREATE INDEX messages_deleted_at_idx ON messages (deleted_at) WHERE deleted_at IS NOT NULL;
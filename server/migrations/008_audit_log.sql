@@ -0,0 +1,16 @@
+-- Who changed what from the dashboard. One row per admin action, with the
+-- affected record before and after the change where there is one.
+
+CREATE TABLE audit_log (
+    id SERIAL PRIMARY KEY,
+    actor VARCHAR(100) NOT NULL,
+    action VARCHAR(50) NOT NULL,
+    target_id VARCHAR(100),
+    before_state JSONB,
+    after_state JSONB,
+    ip VARCHAR(64),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX audit_log_created_idx ON audit_log (created_at DESC, id DESC);
+CREATE INDEX audit_log_action_idx ON audit_log (action);
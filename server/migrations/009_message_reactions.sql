@@ -0,0 +1,13 @@
+-- Emoji reactions guests leave on approved wishes. The primary key is the
+-- per-device dedupe: one of each reaction per message per browser.
+-- Reactions stay with a trashed message and go when it's purged.
+
+CREATE TABLE message_reactions (
+    message_id BIGINT NOT NULL REFERENCES messages (id) ON DELETE CASCADE,
+    reaction VARCHAR(20) NOT NULL,
+    device_id VARCHAR(64) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (message_id, reaction, device_id)
+);
+
+CREATE INDEX message_reactions_device_idx ON message_reactions (device_id);
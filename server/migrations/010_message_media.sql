@@ -0,0 +1,8 @@
+-- Voice and video wishes. The clip itself is a file under UPLOAD_DIR/media;
+-- the row keeps its name, MIME type, length in seconds and size in bytes.
+-- The text of a media wish is optional, so it may be empty.
+
+ALTER TABLE messages ADD COLUMN media_filename VARCHAR(255);
+ALTER TABLE messages ADD COLUMN media_type VARCHAR(50);
+ALTER TABLE messages ADD COLUMN media_duration REAL;
+ALTER TABLE messages ADD COLUMN media_size INTEGER;
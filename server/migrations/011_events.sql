@@ -0,0 +1,48 @@
+-- Several parties on one site. Each event has its own slug (/e/:slug),
+-- honoree, date, venue and theme colours, and its own messages, RSVPs and
+-- photos. Times are the party's wall-clock time in `timezone`.
+-- Everything stored so far belongs to the first party, created here.
+
+CREATE TABLE events (
+    id SERIAL PRIMARY KEY,
+    slug VARCHAR(60) NOT NULL UNIQUE,
+    honoree VARCHAR(255) NOT NULL,
+    short_name VARCHAR(100) NOT NULL,
+    nickname VARCHAR(100),
+    age INTEGER,
+    starts_at TIMESTAMP NOT NULL,
+    ends_at TIMESTAMP,
+    timezone VARCHAR(64) NOT NULL,
+    venue_name VARCHAR(255),
+    address TEXT,
+    portrait VARCHAR(255),
+    theme JSONB NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+INSERT INTO events (slug, honoree, short_name, nickname, age, starts_at, ends_at, timezone, address, portrait)
+VALUES (
+    'ariel-first-birthday', 'Ariel Elijah Ortega', 'Ariel', 'Mr. President', 1,
+    '2026-01-24 15:00', '2026-01-24 21:00', 'America/New_York',
+    E'515 Hershey Avenue\nLancaster, PA 17603', 'IMG_8850.png'
+);
+
+ALTER TABLE messages ADD COLUMN event_id INTEGER REFERENCES events (id);
+ALTER TABLE rsvps ADD COLUMN event_id INTEGER REFERENCES events (id);
+ALTER TABLE photos ADD COLUMN event_id INTEGER REFERENCES events (id);
+
+UPDATE messages SET event_id = (SELECT MIN(id) FROM events);
+UPDATE rsvps SET event_id = (SELECT MIN(id) FROM events);
+UPDATE photos SET event_id = (SELECT MIN(id) FROM events);
+
+ALTER TABLE messages ALTER COLUMN event_id SET NOT NULL;
+ALTER TABLE rsvps ALTER COLUMN event_id SET NOT NULL;
+ALTER TABLE photos ALTER COLUMN event_id SET NOT NULL;
+
+-- A guest answers once per party, not once ever
+ALTER TABLE rsvps DROP CONSTRAINT IF EXISTS rsvps_email_key;
+ALTER TABLE rsvps ADD CONSTRAINT rsvps_event_email_key UNIQUE (event_id, email);
+
+CREATE INDEX messages_event_idx ON messages (event_id, created_at DESC);
+CREATE INDEX photos_event_idx ON photos (event_id, status);
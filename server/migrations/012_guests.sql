@@ -0,0 +1,19 @@
+-- An event's guest list for personal invitations. Each guest has a random
+-- token for their own link (/i/:token); opening it is counted so hosts can
+-- see who has looked at their invitation.
+
+CREATE TABLE guests (
+    id SERIAL PRIMARY KEY,
+    event_id INTEGER NOT NULL REFERENCES events (id),
+    name VARCHAR(100) NOT NULL,
+    household VARCHAR(100),
+    contact VARCHAR(255),
+    token VARCHAR(32) NOT NULL UNIQUE,
+    open_count INTEGER NOT NULL DEFAULT 0,
+    first_opened_at TIMESTAMP,
+    last_opened_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX guests_event_id_idx ON guests (event_id);
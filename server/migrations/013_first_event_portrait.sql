@@ -0,0 +1,5 @@
+-- Migration 011 gave the first party IMG_8850.png as its portrait, a photo
+-- that was never in assets/photos. Use the racing photo instead, unless the
+-- host has already picked another one.
+
+UPDATE events SET portrait = 'IMG_8855.jpeg' WHERE portrait = 'IMG_8850.png';
@@ -0,0 +1,124 @@
+const fs = require('fs');
+const path = require('path');
+const { eventDetails } = require('./calendar');
+const { guestDetails } = require('./guests');
+const { PREVIEW_SIZE, invitePreviewKey } = require('./previews');
+
+// Guest-facing pages rendered for one event. The HTML files carry the first
+// party's details as their static content; the server adds the event as
+// window.EVENT so the page can swap in its own names, date and colours
+// without another request. Pages opened elsewhere fetch /api/event instead.
+// Served pages also get link preview tags for when they're shared.
+const EVENT_PAGES = {
+    '': 'index.html',
+    'index.html': 'index.html',
+    'flyer.html': 'flyer.html',
+    'live': 'live.html',
+    'live.html': 'live.html'
+};
+
+// Where each page lives under an invitation link (/e/<slug>/, /i/<token>/)
+const PAGE_PATHS = {
+    'index.html': '',
+    'flyer.html': 'flyer.html',
+    'live.html': 'live'
+};
+
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// JSON inside <script> must not be able to close the tag
+function scriptJson(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// This server's address as the guest reached it, for absolute links
+function siteUrl(req) {
+    return `${req.protocol}://${req.get('host')}`;
+}
+
+// Open Graph and Twitter tags, so a link pasted in a chat shows a card with
+// the title, description and a PREVIEW_SIZE image (see previews.js)
+function previewMeta({ title, description, url, image }) {
+    return [
+        ['property', 'og:type', 'website'],
+        ['property', 'og:title', title],
+        ['property', 'og:description', description],
+        ['property', 'og:url', url],
+        ['property', 'og:image', image],
+        ['property', 'og:image:width', PREVIEW_SIZE.width],
+        ['property', 'og:image:height', PREVIEW_SIZE.height],
+        ['name', 'twitter:card', 'summary_large_image'],
+        ['name', 'twitter:title', title],
+        ['name', 'twitter:description', description],
+        ['name', 'twitter:image', image]
+    ].map(([attribute, key, value]) => `<meta ${attribute}="${key}" content="${escapeHtml(value)}">`);
+}
+
+function sendPage(res, html, head) {
+    res.set('Cache-Control', 'no-cache');
+    // A function, so "$&" or "$`" in a guest's name isn't read as a pattern
+    res.type('html').send(html.replace('</head>', () => `${head.map(tag => `    ${tag}\n`).join('')}</head>`));
+}
+
+function eventPageMeta(req, file, details, guest) {
+    const { display } = details;
+    const party = `${details.shortName}'s ${display.birthday}`;
+    const place = details.venueName || (details.address || '').split('\n')[0];
+    const when = `${display.date}, ${display.time}${place ? ` at ${place}` : ''}.`;
+    const image = guest
+        ? `${siteUrl(req)}/api/invites/${guest.token}/preview.png`
+        : `${siteUrl(req)}/api/event/preview.png?event=${encodeURIComponent(details.slug)}`;
+
+    const invited = details.guest ? `${details.guest.greeting}, you're invited` : 'You\'re invited';
+    const pages = {
+        'index.html': { title: `${invited} to ${party}`, description: `${when} RSVP, add it to your calendar and leave a birthday wish.` },
+        'flyer.html': { title: `${invited} to ${party}`, description: when },
+        'live.html': { title: `${party} | Live`, description: 'Birthday wishes and photos from the party as they arrive.' }
+    };
+    return previewMeta({
+        ...pages[file],
+        url: `${details.links.invitation}${PAGE_PATHS[file]}`,
+        image: `${image}${image.includes('?') ? '&' : '?'}v=${invitePreviewKey(details)}`
+    });
+}
+
+// `guest` personalises the page for a guest's invitation link
+async function sendEventPage(req, res, page, event, guest = null) {
+    const file = EVENT_PAGES[page];
+    const html = await fs.promises.readFile(path.join(__dirname, file), 'utf8');
+    const publicDetails = eventDetails(event, siteUrl(req));
+    const details = guest ? guestDetails(publicDetails, guest, siteUrl(req)) : publicDetails;
+    sendPage(res, html, [
+        ...eventPageMeta(req, file, details, guest),
+        `<script>window.EVENT = ${scriptJson(details)};</script>`
+    ]);
+}
+
+// A racing game (`card` from leaderboard.js gameCard). With a `score` row
+// the link is someone's result, shared for friends to beat.
+async function sendGamePage(req, res, card, score = null) {
+    const html = await fs.promises.readFile(path.join(__dirname, card.page), 'utf8');
+    const url = `${siteUrl(req)}/${card.page}`;
+    const meta = score
+        ? {
+            title: `Beat ${score.player_name}'s score in ${card.title}`,
+            description: `${score.player_name} scored ${score.score.toLocaleString('en-US')}. Think you can beat it?`,
+            url: `${url}?score=${score.id}`,
+            image: `${siteUrl(req)}/api/leaderboard/scores/${score.id}/preview.png`
+        }
+        : {
+            title: card.title,
+            description: 'Race for a spot on the Top 10 of the birthday leaderboard.',
+            url,
+            image: `${siteUrl(req)}/api/leaderboard/${card.game}/preview.png`
+        };
+    sendPage(res, html, previewMeta(meta));
+}
+
+module.exports = { EVENT_PAGES, siteUrl, sendEventPage, sendGamePage };
@@ -0,0 +1,81 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { UploadError, uploadParser } = require('./uploads');
+
+// Guest photo uploads: stored on disk under UPLOAD_DIR, re-encoded so EXIF
+// data (including GPS location) never leaves the server. The default sits
+// beside the file backend's data, outside the static web root, so photos
+// waiting for moderation can't be fetched directly.
+const UPLOAD_DIR = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'data', 'uploads');
+const MAX_UPLOAD_MB = parseFloat(process.env.MAX_UPLOAD_MB) || 15;
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp', 'image/gif', 'image/heic', 'image/heif', 'image/avif'];
+const ALLOWED_FORMATS = ['jpeg', 'png', 'webp', 'gif', 'heif', 'avif'];
+
+const PHOTO_MAX_SIZE = 2000;
+const THUMB_SIZE = 480;
+
+// A single "photo" field, kept in memory for sharp
+const parsePhotoUpload = uploadParser({
+    field: 'photo',
+    maxMb: MAX_UPLOAD_MB,
+    noun: 'Photos',
+    fileFilter(req, file, callback) {
+        if (!ALLOWED_TYPES.includes(file.mimetype)) {
+            return callback(new UploadError('Only JPEG, PNG, WebP, GIF or HEIC photos are allowed', 415));
+        }
+        callback(null, true);
+    }
+});
+
+// Checks the bytes really are an image and writes a display copy plus thumbnail
+async function processPhoto(buffer) {
+    let metadata;
+    try {
+        metadata = await sharp(buffer).metadata();
+    } catch (error) {
+        throw new UploadError('That file is not a readable image', 415);
+    }
+    if (!ALLOWED_FORMATS.includes(metadata.format)) {
+        throw new UploadError('Only JPEG, PNG, WebP, GIF or HEIC photos are allowed', 415);
+    }
+
+    await fs.promises.mkdir(UPLOAD_DIR, { recursive: true });
+    const base = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const filename = `${base}.jpg`;
+    const thumbnail = `${base}-thumb.jpg`;
+
+    // rotate() applies the EXIF orientation before metadata is dropped
+    const display = await sharp(buffer)
+        .rotate()
+        .resize(PHOTO_MAX_SIZE, PHOTO_MAX_SIZE, { fit: 'inside', withoutEnlargement: true })
+        .jpeg({ quality: 85, mozjpeg: true })
+        .toFile(path.join(UPLOAD_DIR, filename));
+
+    await sharp(buffer)
+        .rotate()
+        .resize(THUMB_SIZE, THUMB_SIZE, { fit: 'cover' })
+        .jpeg({ quality: 75, mozjpeg: true })
+        .toFile(path.join(UPLOAD_DIR, thumbnail));
+
+    return { filename, thumbnail, width: display.width, height: display.height, sizeBytes: display.size };
+}
+
+async function removePhotoFiles(photo) {
+    await Promise.all([photo.filename, photo.thumbnail].map(file =>
+        fs.promises.unlink(path.join(UPLOAD_DIR, file)).catch(() => {})
+    ));
+}
+
+function photoFilePath(photo, variant) {
+    return path.join(UPLOAD_DIR, variant === 'thumb' ? photo.thumbnail : photo.filename);
+}
+
+module.exports = {
+    UPLOAD_DIR,
+    parsePhotoUpload,
+    processPhoto,
+    removePhotoFiles,
+    photoFilePath
+};
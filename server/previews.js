@@ -0,0 +1,190 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { withPage } = require('./browser');
+const { UPLOAD_DIR } = require('./photos');
+const { FLYER_URL, openFlyer, flyerHeroImage } = require('./flyer');
+
+// Link preview images (og:image, see pages.js) for pages shared in chats:
+// the flyer's hero for invitations and a "beat my score" card for game
+// results. Chat apps fetch them once per link, long after the page was
+// rendered, so each image is drawn once and kept on disk, named by a hash
+// of what it shows: an edited event gets a new file and a new link.
+const PREVIEW_SIZE = { width: 1200, height: 630 };
+const PREVIEW_DIR = path.join(UPLOAD_DIR, 'previews');
+// Least recently used files beyond this are deleted
+const MAX_PREVIEW_FILES = 500;
+const CARD_RENDER_TIMEOUT_MS = 30000;
+// Bump when the images' design changes so cached files are redrawn
+const DESIGN_VERSION = 1;
+
+function escapeHtml(text) {
+    return String(text == null ? '' : text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// Short hash of what an image shows; also used as ?v= on image links so
+// chat apps don't keep showing an out-of-date preview
+function previewKey(kind, content) {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({ version: DESIGN_VERSION, kind, content }))
+        .digest('hex')
+        .slice(0, 16);
+}
+
+// ---------- Disk cache ----------
+
+// Renders in progress by key, so a burst of crawlers shares one render
+const pending = new Map();
+
+async function pruneCache() {
+    const names = await fs.promises.readdir(PREVIEW_DIR);
+    if (names.length <= MAX_PREVIEW_FILES) return;
+
+    const files = await Promise.all(names.map(async name => {
+        const file = path.join(PREVIEW_DIR, name);
+        const stats = await fs.promises.stat(file).catch(() => null);
+        return { file, used: stats ? stats.mtimeMs : 0 };
+    }));
+    files.sort((a, b) => a.used - b.used);
+    await Promise.all(files.slice(0, files.length - MAX_PREVIEW_FILES)
+        .map(({ file }) => fs.promises.unlink(file).catch(() => {})));
+}
+
+// Written under a temporary name first so a half-written file is never served
+async function saveImage(file, image) {
+    await fs.promises.mkdir(PREVIEW_DIR, { recursive: true });
+    const partial = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(partial, image);
+    await fs.promises.rename(partial, file);
+    await pruneCache().catch(error => console.error('Error pruning preview images:', error));
+}
+
+// The image for `key` from disk, or render() saved there first
+async function cachedPreview(key, render) {
+    const file = path.join(PREVIEW_DIR, `${key}.png`);
+    try {
+        const image = await fs.promises.readFile(file);
+        const now = new Date();
+        fs.promises.utimes(file, now, now).catch(() => {});
+        return image;
+    } catch (error) {
+        if (error.code !== 'ENOENT') throw error;
+    }
+
+    if (!pending.has(key)) {
+        const job = render()
+            .then(async image => {
+                await saveImage(file, image);
+                return image;
+            })
+            .finally(() => pending.delete(key));
+        pending.set(key, job);
+    }
+    return pending.get(key);
+}
+
+// ---------- Invitations ----------
+
+// `details` as the page shows them (calendar.js eventDetails, or a guest's
+// guestDetails so the hero greets them)
+function invitePreviewKey(details) {
+    return previewKey('invite', details);
+}
+
+function renderInvitePreview(details) {
+    return cachedPreview(invitePreviewKey(details), () => withPage(async page => {
+        await openFlyer(page, FLYER_URL, details);
+        return flyerHeroImage(page, PREVIEW_SIZE);
+    }));
+}
+
+// ---------- Score cards ----------
+
+function scoreCardHtml({ title, scoreLabel, playerName, score }) {
+    const body = score === null
+        ? `
+        <div class="car">🏎️</div>
+        <p class="tagline">Race for a spot on the Top 10</p>`
+        : `
+        <p class="player">${escapeHtml(playerName)}</p>
+        <p class="score">${score.toLocaleString('en-US')}</p>
+        <p class="label">${escapeHtml(scoreLabel)}</p>
+        <p class="tagline">Can you beat my score?</p>`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <link href="https://fonts.googleapis.com/css2?family=Cinzel:wght@600;800&family=Great+Vibes&family=Montserrat:wght@500;700&display=swap" rel="stylesheet">
+    <style>
+        * { margin: 0; padding: 0; box-sizing: border-box; }
+        body {
+            width: ${PREVIEW_SIZE.width}px;
+            height: ${PREVIEW_SIZE.height}px;
+            overflow: hidden;
+            background:
+                radial-gradient(circle at 20% 20%, rgba(212, 175, 55, 0.18) 0%, transparent 45%),
+                radial-gradient(circle at 80% 80%, rgba(139, 0, 0, 0.2) 0%, transparent 45%),
+                #050505;
+            color: #f4e4bc;
+            font-family: 'Montserrat', sans-serif;
+            text-align: center;
+        }
+        .card {
+            position: absolute;
+            inset: 24px;
+            border: 3px solid #d4af37;
+            border-radius: 20px;
+            display: flex;
+            flex-direction: column;
+            align-items: center;
+            justify-content: center;
+            gap: 8px;
+        }
+        .title { font-family: 'Cinzel', serif; font-weight: 800; font-size: 40px; letter-spacing: 4px; color: #d4af37; text-transform: uppercase; }
+        .player { font-family: 'Great Vibes', cursive; font-size: 64px; max-width: 1000px; overflow: hidden; white-space: nowrap; text-overflow: ellipsis; }
+        .score { font-family: 'Cinzel', serif; font-weight: 800; font-size: 150px; line-height: 1; color: #d4af37; }
+        .label { font-family: 'Cinzel', serif; font-weight: 600; font-size: 26px; letter-spacing: 8px; text-transform: uppercase; }
+        .car { font-size: 150px; line-height: 1.2; }
+        .tagline {
+            margin-top: 16px;
+            padding: 14px 40px;
+            border-radius: 40px;
+            background: linear-gradient(90deg, #b8960c, #d4af37, #b8960c);
+            color: #050505;
+            font-weight: 700;
+            font-size: 30px;
+        }
+    </style>
+</head>
+<body>
+    <div class="card">
+        <p class="title">🏁 ${escapeHtml(title)} 🏁</p>${body}
+    </div>
+</body>
+</html>`;
+}
+
+// `card` is leaderboard.js gameCard() with the result's playerName and
+// score, or a null score for the game's own link
+function renderScorePreview(card) {
+    return cachedPreview(previewKey('score', card), () => withPage(async page => {
+        await page.setViewport({ ...PREVIEW_SIZE, deviceScaleFactor: 1 });
+        // Web fonts are nice to have; fall back to system fonts when offline
+        await page.setContent(scoreCardHtml(card), { waitUntil: 'networkidle0', timeout: CARD_RENDER_TIMEOUT_MS })
+            .catch(error => console.error('Score card fonts did not finish loading:', error.message));
+        await page.evaluate(() => document.fonts.ready);
+        return Buffer.from(await page.screenshot({ type: 'png' }));
+    }));
+}
+
+module.exports = {
+    PREVIEW_SIZE,
+    invitePreviewKey,
+    renderInvitePreview,
+    renderScorePreview
+};
@@ -0,0 +1,22 @@
+// Emoji reactions on the public wishes wall. Guests don't sign in, so each
+// browser keeps a random device id (localStorage) and may add each reaction
+// to a wish once; reacting again from the same device is a no-op.
+const REACTIONS = {
+    heart: '❤️',
+    party: '🎉',
+    car: '🏎️',
+    crown: '👑'
+};
+
+// Pages send 32 random hex digits; allow any similar opaque token
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/;
+
+function isReaction(reaction) {
+    return Object.prototype.hasOwnProperty.call(REACTIONS, reaction);
+}
+
+function isDeviceId(deviceId) {
+    return typeof deviceId === 'string' && DEVICE_ID_PATTERN.test(deviceId);
+}
+
+module.exports = { REACTIONS, isReaction, isDeviceId };
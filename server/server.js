@@ -1,119 +1,1476 @@
+const path = require('path');
 const express = require('express');
 const cors = require('cors');
-const { Pool } = require('pg');
+const QRCode = require('qrcode');
+const { createStorage } = require('./storage');
+const { requireAdmin, isAdminRequest, login, cleanAdminName } = require('./auth');
+const { rateLimit, checkSubmission, MAX_NAME_LENGTH, DUPLICATE_WINDOW_HOURS } = require('./spam');
+const { UploadError } = require('./uploads');
+const { parsePhotoUpload, processPhoto, removePhotoFiles, photoFilePath } = require('./photos');
+const { parseMediaUpload, checkMedia, saveMedia, mediaFilePath, removeMediaFiles } = require('./media');
+const { getCatalog, validateCatalog, saveCatalog } = require('./catalog');
+const { LEADERBOARD_SIZE, isGame, gameForPage, gameCard, validateScore } = require('./leaderboard');
+const { exportFilename, buildJsonExport, streamArchive, renderMemoryBook } = require('./exports');
+const { parseImportUpload, readBackup, planImport } = require('./importer');
+const { TRASH_RETENTION_DAYS, startTrashPurge } = require('./trash');
+const { AUDIT_ACTIONS, AUDIT_PAGE_SIZE, MAX_AUDIT_PAGE_SIZE, createAuditLogger } = require('./audit');
+const { isReaction, isDeviceId } = require('./reactions');
+const { DEFAULT_EVENT_SETTING, validateEvent, publicEvent, createEventScope } = require('./event-details');
+const { EVENT_PAGES, siteUrl, sendEventPage, sendGamePage } = require('./pages');
+const { eventDetails, buildIcs } = require('./calendar');
+const { PAPER_SIZES, renderFlyer } = require('./flyer');
+const { createToken, isToken, validateGuest, inviteUrl, guestDetails, findGuestRsvp } = require('./guests');
+const { renderInvitePreview, renderScorePreview } = require('./previews');
+const events = require('./events');
 
 const app = express();
 const PORT = process.env.PORT || 9001;
 
-// PostgreSQL connection - Railway provides DATABASE_URL
-const pool = new Pool({
-    connectionString: process.env.DATABASE_URL,
-    ssl: process.env.DATABASE_URL ? { rejectUnauthorized: false } : false
-});
+// Postgres in production, a local JSON file offline (see storage/index.js)
+const storage = createStorage();
+const audit = createAuditLogger(storage);
+const eventScope = createEventScope(storage);
+
+// Railway sits behind a proxy; trust it so req.ip is the guest's address
+app.set('trust proxy', 1);
 
-// Initialize database table
-async function initDB() {
+// Middleware
+// Export downloads are named by Content-Disposition, which CORS hides by default
+app.use(cors({ exposedHeaders: ['Content-Disposition'] }));
+app.use(express.json());
+
+// Guest pages for one event: /e/<slug>/ (invitation), /e/<slug>/flyer.html
+// and /e/<slug>/live (projector slideshow). Anything else under /e/<slug>/,
+// like the photos and games the pages link to, lives at the site root.
+async function serveEventPage(req, res, page, slug) {
     try {
-        await pool.query(`
-            CREATE TABLE IF NOT EXISTS messages (
-                id BIGINT PRIMARY KEY,
-                name VARCHAR(255) NOT NULL,
-                message TEXT NOT NULL,
-                created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
-            )
-        `);
-        console.log('Database initialized successfully');
+        const event = await eventScope.findEvent(slug);
+        if (!event) {
+            return res.status(404).send('Event not found');
+        }
+        await sendEventPage(req, res, page, event);
     } catch (error) {
-        console.error('Database initialization error:', error);
+        console.error('Error serving event page:', error);
+        res.status(500).send('Failed to load page');
     }
 }
 
-// Initialize on startup
-initDB();
+function isEventPage(page) {
+    return Object.prototype.hasOwnProperty.call(EVENT_PAGES, page);
+}
 
-// Middleware
-app.use(cors());
-app.use(express.json());
+// Sends a path under an event's pages to the same file at the site root,
+// keeping the query. Leading slashes and backslashes are dropped: browsers
+// read "//host" and "/\host" as another site.
+function redirectToRoot(req, res, page) {
+    const query = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    res.redirect(`/${page.replace(/^[\\/]+/, '')}${query}`);
+}
+
+app.get('/e/:slug/*', (req, res) => {
+    const page = req.params[0];
+    if (isEventPage(page)) {
+        return serveEventPage(req, res, page, req.params.slug);
+    }
+    redirectToRoot(req, res, page);
+});
+
+// Relative links on the pages need the trailing slash
+app.get('/e/:slug', (req, res) => res.redirect(`/e/${encodeURIComponent(req.params.slug)}/`));
+
+// The guest with this invitation token and their event, or null
+async function findInvitation(token) {
+    const guest = isToken(token) ? await storage.getGuestByToken(token) : null;
+    if (!guest) return null;
+    const { events: list } = await eventScope.listEvents();
+    const event = list.find(item => String(item.id) === String(guest.event_id));
+    return event ? { guest, event } : null;
+}
+
+// Personal invitations: /i/<token>/ is the event's invitation greeting the
+// guest, with their flyer at /i/<token>/flyer.html. Opening the invitation
+// counts towards the guest list's "opened" column unless ?preview is set
+// (the dashboard's preview links). Unknown tokens get the public pages.
+app.get('/i/:token/*', async (req, res) => {
+    const page = req.params[0];
+    if (!isEventPage(page)) {
+        return redirectToRoot(req, res, page);
+    }
+
+    try {
+        const invitation = await findInvitation(req.params.token);
+        if (!invitation) {
+            return res.redirect(`/${page}`);
+        }
+        if (EVENT_PAGES[page] === 'index.html' && req.query.preview === undefined) {
+            await storage.recordGuestOpen(invitation.guest.id);
+        }
+        await sendEventPage(req, res, page, invitation.event, invitation.guest);
+    } catch (error) {
+        console.error('Error serving invitation:', error);
+        res.status(500).send('Failed to load page');
+    }
+});
+
+app.get('/i/:token', (req, res) => {
+    const query = req.url.includes('?') ? req.url.slice(req.url.indexOf('?')) : '';
+    res.redirect(`/i/${encodeURIComponent(req.params.token)}/${query}`);
+});
 
-// Serve static files from current directory
-app.use(express.static(__dirname));
+// The same pages at the root show ?event=<slug> or the default event;
+// /live is the projector slideshow for the party screen
+app.get(['/', '/index.html', '/flyer.html', '/live', '/live.html'], (req, res) => {
+    const slug = typeof req.query.event === 'string' && req.query.event ? req.query.event : null;
+    serveEventPage(req, res, req.path.slice(1), slug);
+});
+
+// The racing games; ?score=<id> is a result shared from the finish screen,
+// whose link preview challenges friends to beat it
+app.get(['/game.html', '/game-3d.html'], async (req, res) => {
+    const card = gameCard(gameForPage(req.path.slice(1)));
+    try {
+        const id = typeof req.query.score === 'string' && /^\d{1,9}$/.test(req.query.score) ? req.query.score : null;
+        const score = id ? await storage.getScore(id) : null;
+        await sendGamePage(req, res, card, score && score.game === card.game ? score : null);
+    } catch (error) {
+        console.error('Error serving game page:', error);
+        res.status(500).send('Failed to load page');
+    }
+});
+
+// Static files: the remaining pages and the photos, videos and scripts they
+// load. Only these are public; the rest of this directory (server code,
+// blocklist.txt, migrations) is not served.
+const PUBLIC_FILES = ['dashboard.html', 'test-3d.html', 'live-feed.js', 'photo-catalog.json'];
+const PUBLIC_DIRS = ['assets', 'game'];
+
+for (const file of PUBLIC_FILES) {
+    app.get(`/${file}`, (req, res) => res.sendFile(file, { root: __dirname }));
+}
+for (const dir of PUBLIC_DIRS) {
+    app.use(`/${dir}`, express.static(path.join(__dirname, dir)));
+}
 
 // API Routes
 
-// Get all messages
-app.get('/api/messages', async (req, res) => {
+// Admin login - exchanges the admin password (and an optional name for the
+// audit log) for a session token. Throttled per address: every attempt
+// costs a password hash, and guessing is the only way in.
+const loginLimit = rateLimit({ limit: 10, windowMs: 15 * 60 * 1000, noun: 'login attempts' });
+
+// Failed logins reach the audit log at most once a minute, each entry
+// counting the attempts since the one before, so guessing from many
+// addresses can't grow the log without limit
+const FAILED_LOGIN_AUDIT_MS = 60 * 1000;
+let failedLogins = { count: 0, loggedAt: 0 };
+
+async function auditFailedLogin(req, actor) {
+    failedLogins.count++;
+    const now = Date.now();
+    if (now - failedLogins.loggedAt < FAILED_LOGIN_AUDIT_MS) return;
+
+    const attempts = failedLogins.count;
+    failedLogins = { count: 0, loggedAt: now };
+    await audit(req, 'admin.login-failed', { actor, after: attempts > 1 ? { attempts } : null });
+}
+
+app.post('/api/admin/login', loginLimit, async (req, res) => {
+    const { session, error, status } = login(req.body);
+    if (session) {
+        await audit(req, 'admin.login', { actor: session.name });
+    } else {
+        await auditFailedLogin(req, cleanAdminName(req.body.name));
+    }
+
+    if (error) {
+        return res.status(status).json({ error });
+    }
+    res.json(session);
+});
+
+// Check whether the caller's session token is still valid
+app.get('/api/admin/session', requireAdmin, (req, res) => {
+    res.json({ authenticated: true });
+});
+
+// Requests for guestbook data are about one event: ?event=<slug>, or the
+// default event when absent (see event-details.js)
+app.use([
+    '/api/messages', '/api/rsvps', '/api/guests', '/api/photos', '/api/export', '/api/stats', '/api/event',
+    '/api/flyer.pdf', '/api/flyer.png'
+], eventScope.scopeToEvent);
+
+// The event a page is showing: names, date, venue, theme colours and
+// links to add it to a calendar or find it on a map
+app.get('/api/event', (req, res) => {
+    res.json(eventDetails(req.event, siteUrl(req)));
+});
+
+// The event as an iCalendar file with a reminder the day before
+app.get('/api/event/calendar.ics', (req, res) => {
+    try {
+        res.set('Cache-Control', 'no-cache');
+        res.type('text/calendar; charset=utf-8');
+        res.attachment(`${req.event.slug}.ics`);
+        res.send(buildIcs(req.event, siteUrl(req)));
+    } catch (error) {
+        console.error('Error building calendar file:', error);
+        res.status(500).json({ error: 'Failed to create calendar file' });
+    }
+});
+
+// The flyer with the event's current details, to print or share. Renders
+// are cached by event details, so only the first download after an edit
+// waits for the browser.
+const FLYER_SIZES = { square: 'instagram-square', story: 'instagram-story', whatsapp: 'whatsapp' };
+const flyerLimit = rateLimit({ limit: 30, noun: 'flyer downloads' });
+
+async function sendFlyer(req, res, details, output, filename, type) {
+    try {
+        const flyer = await renderFlyer(details, output);
+        res.set('Cache-Control', 'no-cache');
+        res.set('Content-Disposition', `inline; filename="${filename}"`);
+        res.type(type).send(flyer);
+    } catch (error) {
+        console.error('Error rendering flyer:', error);
+        res.status(500).json({ error: 'Failed to create flyer' });
+    }
+}
+
+// ?paper=a4 (default), letter, 4x6 or 5x7
+app.get('/api/flyer.pdf', flyerLimit, (req, res) => {
+    const paper = typeof req.query.paper === 'string' ? req.query.paper.toLowerCase() : 'a4';
+    if (!Object.prototype.hasOwnProperty.call(PAPER_SIZES, paper)) {
+        return res.status(400).json({ error: `Paper must be one of: ${Object.keys(PAPER_SIZES).join(', ')}` });
+    }
+    const suffix = paper === 'a4' ? '' : `-${paper}`;
+    sendFlyer(req, res, eventDetails(req.event, siteUrl(req)), { paper }, `${req.event.slug}-flyer${suffix}.pdf`, 'pdf');
+});
+
+// ?size= for the image, or undefined when it isn't one of FLYER_SIZES
+function flyerImageOutput(size) {
+    if (size === undefined) return {};
+    return Object.prototype.hasOwnProperty.call(FLYER_SIZES, size) ? { preset: FLYER_SIZES[size] } : undefined;
+}
+
+// The whole flyer, or fitted to ?size=square, story or whatsapp
+app.get('/api/flyer.png', flyerLimit, (req, res) => {
+    const { size } = req.query;
+    const output = flyerImageOutput(size);
+    if (!output) {
+        return res.status(400).json({ error: `Size must be one of: ${Object.keys(FLYER_SIZES).join(', ')}` });
+    }
+    sendFlyer(req, res, eventDetails(req.event, siteUrl(req)), output, `${req.event.slug}-flyer${size ? `-${size}` : ''}.png`, 'png');
+});
+
+// A guest's own flyer, greeting them and linking to their invitation, to
+// send by text message. Same sizes as /api/flyer.png.
+app.get('/api/invites/:token/flyer.png', flyerLimit, async (req, res) => {
+    const { size } = req.query;
+    const output = flyerImageOutput(size);
+    if (!output) {
+        return res.status(400).json({ error: `Size must be one of: ${Object.keys(FLYER_SIZES).join(', ')}` });
+    }
+
+    let invitation;
+    try {
+        invitation = await findInvitation(req.params.token);
+    } catch (error) {
+        console.error('Error loading invitation:', error);
+        return res.status(500).json({ error: 'Failed to create flyer' });
+    }
+    if (!invitation) {
+        return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const { guest, event } = invitation;
+    const details = guestDetails(eventDetails(event, siteUrl(req)), guest, siteUrl(req));
+    const name = guest.name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'guest';
+    sendFlyer(req, res, details, output, `${event.slug}-flyer-${name}${size ? `-${size}` : ''}.png`, 'png');
+});
+
+// Link preview images for the og:image tags on shared pages (pages.js).
+// Each is rendered once and then served from disk (previews.js).
+const previewLimit = rateLimit({ limit: 60, noun: 'preview images' });
+
+async function sendPreview(res, render) {
+    try {
+        const image = await render();
+        res.set('Cache-Control', 'public, max-age=3600');
+        res.type('png').send(image);
+    } catch (error) {
+        console.error('Error rendering preview image:', error);
+        res.status(500).json({ error: 'Failed to create preview image' });
+    }
+}
+
+// The flyer's hero for the invitation
+app.get('/api/event/preview.png', previewLimit, (req, res) => {
+    sendPreview(res, () => renderInvitePreview(eventDetails(req.event, siteUrl(req))));
+});
+
+// The same, greeting the guest, for their invitation link
+app.get('/api/invites/:token/preview.png', previewLimit, async (req, res) => {
+    let invitation;
+    try {
+        invitation = await findInvitation(req.params.token);
+    } catch (error) {
+        console.error('Error loading invitation:', error);
+        return res.status(500).json({ error: 'Failed to create preview image' });
+    }
+    if (!invitation) {
+        return res.status(404).json({ error: 'Invitation not found' });
+    }
+
+    const { guest, event } = invitation;
+    sendPreview(res, () => renderInvitePreview(guestDetails(eventDetails(event, siteUrl(req)), guest, siteUrl(req))));
+});
+
+// Every event, for the dashboard's event picker and editor (admin)
+app.get('/api/events', requireAdmin, async (req, res) => {
+    try {
+        const { events: list, defaultEvent } = await eventScope.listEvents();
+        res.json({
+            events: list.map(event => ({ id: event.id, ...publicEvent(event) })),
+            defaultSlug: defaultEvent ? defaultEvent.slug : null
+        });
+    } catch (error) {
+        console.error('Error fetching events:', error);
+        res.status(500).json({ error: 'Failed to fetch events' });
+    }
+});
+
+// The fields the audit log keeps for an event
+function eventSnapshot(event) {
+    return event && {
+        slug: event.slug,
+        honoree: event.honoree,
+        starts_at: event.starts_at,
+        venue_name: event.venue_name,
+        address: event.address,
+        theme: event.theme
+    };
+}
+
+// Slugs name the event's pages, so no two events may share one
+async function slugTaken(slug, exceptId) {
+    const { events: list } = await eventScope.listEvents();
+    return list.some(event => event.slug === slug && String(event.id) !== String(exceptId));
+}
+
+// Create an event (admin). Body: slug, honoree, shortName, nickname, age,
+// startsAt/endsAt ("2026-01-24T15:00" local to `timezone`), venueName,
+// address, portrait (a file in assets/photos), theme { primary, light, dark }.
+app.post('/api/events', requireAdmin, async (req, res) => {
+    const { entry, error } = validateEvent(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        if (await slugTaken(entry.slug)) {
+            return res.status(409).json({ error: 'Another event already uses that link name' });
+        }
+        const event = await storage.createEvent(entry);
+        eventScope.invalidate();
+        await audit(req, 'event.create', { targetId: event.id, after: eventSnapshot(event) });
+        res.status(201).json({ id: event.id, ...publicEvent(event) });
+    } catch (err) {
+        console.error('Error creating event:', err);
+        res.status(500).json({ error: 'Failed to create event' });
+    }
+});
+
+// Update an event (admin); same body as creating one
+app.put('/api/events/:id', requireAdmin, async (req, res) => {
+    const { entry, error } = validateEvent(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
     try {
-        const result = await pool.query(
-            'SELECT * FROM messages ORDER BY created_at DESC'
-        );
-        res.json(result.rows);
+        const { events: list } = await eventScope.listEvents();
+        const before = list.find(event => String(event.id) === req.params.id);
+        if (!before) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        if (await slugTaken(entry.slug, before.id)) {
+            return res.status(409).json({ error: 'Another event already uses that link name' });
+        }
+        const event = await storage.updateEvent(before.id, entry);
+        eventScope.invalidate();
+        await audit(req, 'event.update', { targetId: event.id, before: eventSnapshot(before), after: eventSnapshot(event) });
+        res.json({ id: event.id, ...publicEvent(event) });
+    } catch (err) {
+        console.error('Error updating event:', err);
+        res.status(500).json({ error: 'Failed to update event' });
+    }
+});
+
+// Make an event the one the site shows without /e/<slug> (admin)
+app.put('/api/events/:id/default', requireAdmin, async (req, res) => {
+    try {
+        const { events: list, defaultEvent } = await eventScope.listEvents();
+        const event = list.find(row => String(row.id) === req.params.id);
+        if (!event) {
+            return res.status(404).json({ error: 'Event not found' });
+        }
+        await storage.setSetting(DEFAULT_EVENT_SETTING, event.id);
+        eventScope.invalidate();
+        await audit(req, 'event.default', {
+            targetId: event.id,
+            before: defaultEvent && { slug: defaultEvent.slug },
+            after: { slug: event.slug }
+        });
+        res.json({ defaultSlug: event.slug });
+    } catch (error) {
+        console.error('Error setting default event:', error);
+        res.status(500).json({ error: 'Failed to set default event' });
+    }
+});
+
+// Message moderation states
+const MESSAGE_STATUSES = ['pending', 'approved', 'rejected'];
+
+// Admin message list paging, search and sorting
+const ADMIN_PAGE_SIZE = 50;
+const MAX_ADMIN_PAGE_SIZE = 200;
+const MESSAGE_SORTS = ['newest', 'oldest', 'name', 'loved'];
+const MAX_SEARCH_LENGTH = 200;
+
+// Public guestbook paging
+const PUBLIC_PAGE_SIZE = 12;
+const MAX_PUBLIC_PAGE_SIZE = 50;
+
+function pageLimit(value, defaultSize, maxSize) {
+    return Math.max(1, Math.min(parseInt(value) || defaultSize, maxSize));
+}
+
+// Cursors are opaque to clients: base64url of [sort key, id] of the last row
+function encodeCursor(key, id) {
+    return Buffer.from(JSON.stringify([key, String(id)])).toString('base64url');
+}
+
+// Sort keys are a lowercased name, a reaction count or a timestamp
+function isCursorKey(key, sort) {
+    if (sort === 'name') return true;
+    if (sort === 'loved') return /^\d+$/.test(key);
+    return !isNaN(Date.parse(key));
+}
+
+function decodeCursor(cursor, sort = 'newest') {
+    try {
+        const [key, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+        if (typeof key !== 'string' || !/^\d+$/.test(id) || !isCursorKey(key, sort)) return null;
+        return { key, id };
+    } catch (error) {
+        return null;
+    }
+}
+
+function messageSortKey(row, sort) {
+    if (sort === 'name') return row.name.toLowerCase();
+    if (sort === 'loved') return String(row.reaction_count);
+    return new Date(row.created_at).toISOString();
+}
+
+// Optional ISO date query parameter; returns undefined when absent, null when invalid
+function parseDateParam(value) {
+    if (value === undefined || value === '') return undefined;
+    const time = Date.parse(value);
+    return isNaN(time) ? null : new Date(time).toISOString();
+}
+
+// Get messages for the dashboard (admin), newest first by default.
+// Query: status, q (search name and message), from/to (ISO dates, `to`
+// exclusive), sort (newest|oldest|name|loved), limit, cursor (nextCursor of the
+// previous page), trash=true for deleted messages. Counts per status (and
+// of the trash) cover the search and date filters.
+app.get('/api/messages', requireAdmin, async (req, res) => {
+    const { status, q } = req.query;
+    const trash = req.query.trash === 'true';
+    const sort = req.query.sort || 'newest';
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    const limit = pageLimit(req.query.limit, ADMIN_PAGE_SIZE, MAX_ADMIN_PAGE_SIZE);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor, sort) : null;
+
+    if (status && !MESSAGE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid message status' });
+    }
+    if (!MESSAGE_SORTS.includes(sort)) {
+        return res.status(400).json({ error: 'Invalid sort order' });
+    }
+    if (q !== undefined && (typeof q !== 'string' || q.length > MAX_SEARCH_LENGTH)) {
+        return res.status(400).json({ error: `Search must be ${MAX_SEARCH_LENGTH} characters or fewer` });
+    }
+    if (from === null || to === null) {
+        return res.status(400).json({ error: 'Invalid date range' });
+    }
+    if (req.query.cursor && !cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    try {
+        const filters = { eventId: req.event.id, search: q, from, to };
+        const [rows, counts] = await Promise.all([
+            storage.listMessages({ ...filters, status, trash, sort, limit: limit + 1, after: cursor }),
+            storage.countMessages(filters)
+        ]);
+        const messages = rows.slice(0, limit);
+        const last = messages[messages.length - 1];
+
+        res.json({
+            messages,
+            nextCursor: rows.length > limit ? encodeCursor(messageSortKey(last, sort), last.id) : null,
+            counts: Object.fromEntries([...MESSAGE_STATUSES, 'trash'].map(name => [name, counts[name] || 0])),
+            trashRetentionDays: TRASH_RETENTION_DAYS
+        });
     } catch (error) {
         console.error('Error fetching messages:', error);
         res.status(500).json({ error: 'Failed to fetch messages' });
     }
 });
 
+// Get approved messages for the public guestbook, newest first, with their
+// reaction totals. Pass ?cursor=<nextCursor> from the previous page to
+// continue, and ?deviceId= to hear which reactions this browser has left.
+app.get('/api/messages/public', async (req, res) => {
+    const { deviceId } = req.query;
+    const limit = pageLimit(req.query.limit, PUBLIC_PAGE_SIZE, MAX_PUBLIC_PAGE_SIZE);
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+
+    if (req.query.cursor && !cursor) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+    if (deviceId !== undefined && !isDeviceId(deviceId)) {
+        return res.status(400).json({ error: 'Invalid device id' });
+    }
+
+    try {
+        // Fetch one extra row to know whether there is another page
+        const rows = await storage.listApprovedMessages({
+            eventId: req.event.id,
+            limit: limit + 1,
+            before: cursor && { createdAt: cursor.key, id: cursor.id }
+        });
+        const messages = rows.slice(0, limit);
+        const last = messages[messages.length - 1];
+
+        if (deviceId) {
+            const mine = await storage.listDeviceReactions(deviceId, messages.map(msg => msg.id));
+            messages.forEach(msg => {
+                msg.myReactions = mine.filter(row => String(row.message_id) === String(msg.id)).map(row => row.reaction);
+            });
+        }
+
+        res.json({
+            messages,
+            nextCursor: rows.length > limit ? encodeCursor(messageSortKey(last, 'newest'), last.id) : null
+        });
+    } catch (error) {
+        console.error('Error fetching public messages:', error);
+        res.status(500).json({ error: 'Failed to fetch messages' });
+    }
+});
+
+// Live feed of message changes (Server-Sent Events)
+app.get('/api/messages/stream', events.streamMessages);
+
 // Submit a new message
-app.post('/api/messages', async (req, res) => {
+app.post('/api/messages', rateLimit(), async (req, res) => {
     const { name, message } = req.body;
 
-    if (!name || !message) {
-        return res.status(400).json({ error: 'Name and message are required' });
+    const problem = checkSubmission(req.body);
+    if (problem) {
+        return res.status(400).json({ error: problem });
     }
 
     try {
-        const id = Date.now();
-        const result = await pool.query(
-            'INSERT INTO messages (id, name, message, created_at) VALUES ($1, $2, $3, $4) RETURNING *',
-            [id, name.trim(), message.trim(), new Date().toISOString()]
-        );
-        res.status(201).json(result.rows[0]);
+        const entry = { eventId: req.event.id, name: name.trim(), message: message.trim() };
+
+        if (await storage.hasRecentDuplicate({ ...entry, hours: DUPLICATE_WINDOW_HOURS })) {
+            return res.status(409).json({ error: 'You have already sent this message' });
+        }
+
+        const created = await storage.createMessage(entry);
+        events.messageCreated(created);
+        res.status(201).json(created);
     } catch (error) {
         console.error('Error saving message:', error);
         res.status(500).json({ error: 'Failed to save message' });
     }
 });
 
-// Delete a message (admin)
-app.delete('/api/messages/:id', async (req, res) => {
+// Submit a voice or video wish: multipart "media" (audio or video clip) plus
+// name, optional message, duration (seconds, as measured by the browser)
+// and the same spam fields as a text message
+app.post('/api/messages/media', rateLimit(), parseMediaUpload, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Please record or choose a clip' });
+    }
+
+    const fields = { ...req.body, message: req.body.message || '', elapsedMs: Number(req.body.elapsedMs) };
+    const problem = checkSubmission(fields, { messageRequired: false });
+    if (problem) {
+        return res.status(400).json({ error: problem });
+    }
+
+    let media;
+    try {
+        media = checkMedia(req.file, req.body.duration);
+    } catch (error) {
+        if (error instanceof UploadError) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error checking media:', error);
+        return res.status(500).json({ error: 'Failed to process clip' });
+    }
+
+    let filename = null;
+    try {
+        filename = await saveMedia(req.file.buffer, media.extension);
+        const created = await storage.createMessage({
+            eventId: req.event.id,
+            name: fields.name.trim(),
+            message: fields.message.trim(),
+            media: { filename, type: media.type, duration: media.duration, sizeBytes: req.file.size }
+        });
+        events.messageCreated(created);
+        res.status(201).json(created);
+    } catch (error) {
+        if (filename) await removeMediaFiles([{ media_filename: filename }]);
+        console.error('Error saving media message:', error);
+        res.status(500).json({ error: 'Failed to save message' });
+    }
+});
+
+// Message ids are whole numbers; anything else matches no message (and
+// would fail the query on Postgres instead of finding nothing)
+function isMessageId(id) {
+    return /^\d+$/.test(id);
+}
+
+// Play back a message's clip. Clips on approved wishes are public; the rest
+// need an admin session. Range requests let players seek.
+app.get('/api/messages/:id/media', async (req, res) => {
+    try {
+        const [message] = isMessageId(req.params.id) ? await storage.getMessages([req.params.id]) : [];
+        const isPublic = message && message.status === 'approved' && !message.deleted_at;
+        if (!message || !message.media_filename || (!isPublic && !isAdminRequest(req))) {
+            return res.status(404).json({ error: 'Clip not found' });
+        }
+        res.set('Cache-Control', isPublic ? 'public, max-age=86400' : 'private, no-store');
+        res.type(message.media_type);
+        res.sendFile(mediaFilePath(message));
+    } catch (error) {
+        console.error('Error serving media:', error);
+        res.status(500).json({ error: 'Failed to load clip' });
+    }
+});
+
+// React to an approved wish from the wall. Body: { deviceId }. Each device
+// counts once per reaction, so repeating it changes nothing. Responds with
+// the message's totals and this device's reactions.
+const reactionLimit = rateLimit({ limit: 120, noun: 'reactions' });
+
+async function changeReaction(req, res, change) {
+    const { id, reaction } = req.params;
+    const { deviceId } = req.body;
+
+    if (!isReaction(reaction)) {
+        return res.status(400).json({ error: 'Unknown reaction' });
+    }
+    if (!isDeviceId(deviceId)) {
+        return res.status(400).json({ error: 'Invalid device id' });
+    }
+
+    try {
+        const [message] = isMessageId(id) ? await storage.getMessages([id]) : [];
+        if (!message || message.status !== 'approved' || message.deleted_at) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+
+        await change({ messageId: id, reaction, deviceId });
+        const [reactions, mine] = await Promise.all([
+            storage.getReactionCounts(id),
+            storage.listDeviceReactions(deviceId, [id])
+        ]);
+        events.reactionsChanged(message, reactions);
+        res.json({ id: message.id, reactions, myReactions: mine.map(row => row.reaction) });
+    } catch (error) {
+        console.error('Error saving reaction:', error);
+        res.status(500).json({ error: 'Failed to save reaction' });
+    }
+}
+
+app.post('/api/messages/:id/reactions/:reaction', reactionLimit, (req, res) =>
+    changeReaction(req, res, entry => storage.addReaction(entry)));
+
+app.delete('/api/messages/:id/reactions/:reaction', reactionLimit, (req, res) =>
+    changeReaction(req, res, entry => storage.removeReaction(entry)));
+
+// Move a message to another moderation state (admin)
+app.patch('/api/messages/:id', requireAdmin, async (req, res) => {
     const { id } = req.params;
+    const { status } = req.body;
+
+    if (!MESSAGE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid message status' });
+    }
+    if (!isMessageId(id)) {
+        return res.status(404).json({ error: 'Message not found' });
+    }
 
     try {
-        await pool.query('DELETE FROM messages WHERE id = $1', [id]);
-        res.json({ success: true });
+        const [current] = await storage.getMessages([id]);
+        const before = current && { status: current.status };
+        const updated = await storage.updateMessageStatus(id, status);
+        if (!updated) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        events.messageUpdated(updated);
+        await audit(req, 'message.status', { targetId: id, before, after: { status } });
+        res.json(updated);
+    } catch (error) {
+        console.error('Error updating message:', error);
+        res.status(500).json({ error: 'Failed to update message' });
+    }
+});
+
+// Move several messages to another moderation state at once (admin)
+app.patch('/api/messages', requireAdmin, async (req, res) => {
+    const { ids, status } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(isMessageId)) {
+        return res.status(400).json({ error: 'A list of message ids is required' });
+    }
+    if (!MESSAGE_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid message status' });
+    }
+
+    try {
+        const previous = new Map((await storage.getMessages(ids)).map(msg => [String(msg.id), msg.status]));
+        const rows = await storage.updateMessagesStatus(ids, status);
+        rows.forEach(events.messageUpdated);
+        for (const row of rows) {
+            await audit(req, 'message.status', {
+                targetId: row.id,
+                before: { status: previous.get(String(row.id)) },
+                after: { status }
+            });
+        }
+        res.json({ success: true, updated: rows.length });
+    } catch (error) {
+        console.error('Error updating messages:', error);
+        res.status(500).json({ error: 'Failed to update messages' });
+    }
+});
+
+// Permanently delete one message from the trash (admin)
+app.delete('/api/messages/trash/:id', requireAdmin, async (req, res) => {
+    if (!isMessageId(req.params.id)) {
+        return res.status(404).json({ error: 'Message not found in trash' });
+    }
+
+    try {
+        const [before] = await storage.getMessages([req.params.id]);
+        const rows = await storage.purgeMessages([req.params.id]);
+        if (rows.length === 0) {
+            return res.status(404).json({ error: 'Message not found in trash' });
+        }
+        await removeMediaFiles(rows);
+        await audit(req, 'message.purge', { targetId: req.params.id, before: messageSnapshot(before) });
+        res.json({ success: true, purged: rows.length });
+    } catch (error) {
+        console.error('Error purging message:', error);
+        res.status(500).json({ error: 'Failed to purge message' });
+    }
+});
+
+// Empty the trash (admin)
+app.delete('/api/messages/trash', requireAdmin, async (req, res) => {
+    try {
+        const rows = await storage.purgeMessages(null, req.event.id);
+        await removeMediaFiles(rows);
+        await audit(req, 'trash.empty', { before: { count: rows.length } });
+        res.json({ success: true, purged: rows.length });
+    } catch (error) {
+        console.error('Error emptying trash:', error);
+        res.status(500).json({ error: 'Failed to empty trash' });
+    }
+});
+
+// Move a message to the trash (admin)
+app.delete('/api/messages/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
+
+    if (!isMessageId(id)) {
+        return res.status(404).json({ error: 'Message not found' });
+    }
+
+    try {
+        const message = await storage.deleteMessage(id);
+        if (!message) {
+            return res.status(404).json({ error: 'Message not found' });
+        }
+        events.messageDeleted(message);
+        await audit(req, 'message.delete', { targetId: id, before: messageSnapshot(message), after: { deleted_at: message.deleted_at } });
+        res.json({ success: true, id: message.id });
     } catch (error) {
         console.error('Error deleting message:', error);
         res.status(500).json({ error: 'Failed to delete message' });
     }
 });
 
-// Delete all messages (admin)
-app.delete('/api/messages', async (req, res) => {
+// Move all messages to the trash (admin). The ids let the dashboard undo it.
+app.delete('/api/messages', requireAdmin, async (req, res) => {
     try {
-        await pool.query('DELETE FROM messages');
-        res.json({ success: true });
+        const rows = await storage.clearMessages(req.event.id);
+        events.messagesCleared(req.event.id);
+        await audit(req, 'messages.clear', { before: { count: rows.length, ids: rows.map(row => row.id) } });
+        res.json({ success: true, ids: rows.map(row => row.id) });
     } catch (error) {
         console.error('Error clearing messages:', error);
         res.status(500).json({ error: 'Failed to clear messages' });
     }
 });
 
+// Bring messages back from the trash (admin)
+app.post('/api/messages/restore', requireAdmin, async (req, res) => {
+    const { ids } = req.body;
+
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(isMessageId)) {
+        return res.status(400).json({ error: 'A list of message ids is required' });
+    }
+
+    try {
+        const rows = await storage.restoreMessages(ids);
+        rows.forEach(events.messageUpdated);
+        for (const row of rows) {
+            await audit(req, 'message.restore', { targetId: row.id, after: messageSnapshot(row) });
+        }
+        res.json({ success: true, messages: rows });
+    } catch (error) {
+        console.error('Error restoring messages:', error);
+        res.status(500).json({ error: 'Failed to restore messages' });
+    }
+});
+
+// The parts of a message worth keeping in the audit log
+function messageSnapshot(msg) {
+    return msg && { name: msg.name, message: msg.message, status: msg.status, ...(msg.media_type && { media: msg.media_type }) };
+}
+
+// Restore messages from a CSV or JSON backup (admin). Send the file as
+// multipart "file"; ?dryRun=true only reports what would happen, and
+// ?timezoneOffset= (minutes, as getTimezoneOffset) reads zone-less CSV dates.
+app.post('/api/messages/import', requireAdmin, parseImportUpload, async (req, res) => {
+    if (!req.file) {
+        return res.status(400).json({ error: 'Please choose a backup file to import' });
+    }
+
+    const timezoneOffset = Number(req.query.timezoneOffset || 0);
+    if (!Number.isFinite(timezoneOffset) || Math.abs(timezoneOffset) > 14 * 60) {
+        return res.status(400).json({ error: 'Invalid timezone offset' });
+    }
+
+    const { records, error } = readBackup(req.file.buffer, req.file.originalname);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        // Trashed messages count too; restoring them beats importing twice
+        const [live, trashed] = await Promise.all([
+            storage.listMessages({ eventId: req.event.id }),
+            storage.listMessages({ eventId: req.event.id, trash: true })
+        ]);
+        const existing = [...live, ...trashed];
+        const { entries, duplicates, errors } = planImport(records, existing, { timezoneOffset });
+        const dryRun = req.query.dryRun === 'true';
+
+        let imported = [];
+        if (!dryRun) {
+            imported = await storage.importMessages(entries.map(entry => ({ ...entry, eventId: req.event.id })));
+            events.messagesImported(imported);
+            await audit(req, 'messages.import', {
+                after: {
+                    file: req.file.originalname,
+                    imported: imported.length,
+                    duplicates: duplicates.length,
+                    errors: errors.length
+                }
+            });
+        }
+
+        res.json({
+            dryRun,
+            total: records.length,
+            imported: dryRun ? entries.length : imported.length,
+            duplicates,
+            errors
+        });
+    } catch (error) {
+        console.error('Error importing messages:', error);
+        res.status(500).json({ error: 'Failed to import messages' });
+    }
+});
+
+// Download every message and photo record of the event as JSON (admin)
+app.get('/api/export/messages.json', requireAdmin, async (req, res) => {
+    try {
+        const data = await buildJsonExport(storage, req.event);
+        await audit(req, 'export.download', { after: { format: 'json', event: req.event.slug } });
+        res.attachment(exportFilename(req.event, 'messages', 'json'));
+        res.send(JSON.stringify(data, null, 2));
+    } catch (error) {
+        console.error('Error exporting messages:', error);
+        res.status(500).json({ error: 'Failed to export messages' });
+    }
+});
+
+// Download the event's approved wishes as a PDF memory book (admin).
+// Rendering takes a few seconds, so simultaneous requests for the same event
+// share one render.
+const memoryBookRenders = new Map();
+
+app.get('/api/export/memory-book.pdf', requireAdmin, async (req, res) => {
+    const { id } = req.event;
+    try {
+        if (!memoryBookRenders.has(id)) {
+            memoryBookRenders.set(id, renderMemoryBook(storage, req.event).finally(() => memoryBookRenders.delete(id)));
+        }
+        const pdf = await memoryBookRenders.get(id);
+        await audit(req, 'export.download', { after: { format: 'pdf', event: req.event.slug } });
+        res.attachment(exportFilename(req.event, 'memory-book', 'pdf'));
+        res.send(Buffer.from(pdf));
+    } catch (error) {
+        console.error('Error rendering memory book:', error);
+        res.status(500).json({ error: 'Failed to create memory book' });
+    }
+});
+
+// Download a ZIP of the messages (JSON and CSV) and uploaded photos (admin)
+app.get('/api/export/archive.zip', requireAdmin, async (req, res) => {
+    try {
+        await audit(req, 'export.download', { after: { format: 'zip', event: req.event.slug } });
+        await streamArchive(storage, req.event, res);
+    } catch (error) {
+        console.error('Error exporting archive:', error);
+        if (res.headersSent) return res.destroy(error);
+        res.status(500).json({ error: 'Failed to export archive' });
+    }
+});
+
+// RSVP validation
+const RSVP_STATUSES = ['attending', 'maybe', 'not-attending'];
+const MAX_PARTY_SIZE = 20;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+function parseHeadcount(value) {
+    const count = Number(value || 0);
+    if (!Number.isInteger(count) || count < 0 || count > MAX_PARTY_SIZE) {
+        return null;
+    }
+    return count;
+}
+
+// Get all RSVPs (admin)
+app.get('/api/rsvps', requireAdmin, async (req, res) => {
+    try {
+        res.json(await storage.listRsvps(req.event.id));
+    } catch (error) {
+        console.error('Error fetching RSVPs:', error);
+        res.status(500).json({ error: 'Failed to fetch RSVPs' });
+    }
+});
+
+// Submit or update an RSVP (one per email address and event)
+app.post('/api/rsvps', async (req, res) => {
+    const { name, email, status, dietary } = req.body;
+
+    if (typeof name !== 'string' || typeof email !== 'string' || !name.trim() || !email.trim() || !status) {
+        return res.status(400).json({ error: 'Name, email and attendance are required' });
+    }
+    if (dietary !== undefined && dietary !== null && typeof dietary !== 'string') {
+        return res.status(400).json({ error: 'Dietary notes must be text' });
+    }
+    if (!EMAIL_PATTERN.test(email.trim())) {
+        return res.status(400).json({ error: 'Please enter a valid email address' });
+    }
+    if (!RSVP_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid attendance status' });
+    }
+
+    // Guests who are not coming don't count towards the headcount
+    const attending = status !== 'not-attending';
+    const adults = attending ? parseHeadcount(req.body.adults) : 0;
+    const children = attending ? parseHeadcount(req.body.children) : 0;
+
+    if (adults === null || children === null) {
+        return res.status(400).json({ error: `Headcount must be between 0 and ${MAX_PARTY_SIZE}` });
+    }
+    if (attending && adults + children === 0) {
+        return res.status(400).json({ error: 'Please tell us how many guests are coming' });
+    }
+
+    try {
+        const rsvp = await storage.saveRsvp({
+            eventId: req.event.id,
+            name: name.trim(),
+            email: email.trim().toLowerCase(),
+            status,
+            adults,
+            children,
+            dietary: (dietary || '').trim() || null
+        });
+        res.status(201).json(rsvp);
+    } catch (error) {
+        console.error('Error saving RSVP:', error);
+        res.status(500).json({ error: 'Failed to save RSVP' });
+    }
+});
+
+// Guest list for personal invitations (admin), with each guest's link, how
+// often they've opened it and their RSVP if they've sent one
+app.get('/api/guests', requireAdmin, async (req, res) => {
+    try {
+        const [guests, rsvps] = await Promise.all([storage.listGuests(req.event.id), storage.listRsvps(req.event.id)]);
+        res.json(guests.map(guest => {
+            const rsvp = findGuestRsvp(guest, rsvps);
+            return {
+                ...guest,
+                invite_url: inviteUrl(guest, siteUrl(req)),
+                rsvp: rsvp && { status: rsvp.status, adults: rsvp.adults, children: rsvp.children }
+            };
+        }));
+    } catch (error) {
+        console.error('Error fetching guests:', error);
+        res.status(500).json({ error: 'Failed to fetch guests' });
+    }
+});
+
+// Add a guest (admin). Body: name, household, contact (email or phone).
+app.post('/api/guests', requireAdmin, async (req, res) => {
+    const { entry, error } = validateGuest(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const guest = await storage.createGuest({ eventId: req.event.id, ...entry, token: createToken() });
+        await audit(req, 'guest.create', { targetId: guest.id, after: { ...entry, event: req.event.slug } });
+        res.status(201).json({ ...guest, invite_url: inviteUrl(guest, siteUrl(req)), rsvp: null });
+    } catch (err) {
+        console.error('Error adding guest:', err);
+        res.status(500).json({ error: 'Failed to add guest' });
+    }
+});
+
+// The fields the audit log keeps for a guest
+function guestSnapshot(guest) {
+    return guest && { name: guest.name, household: guest.household, contact: guest.contact };
+}
+
+// Update a guest (admin); same body as adding one
+app.put('/api/guests/:id', requireAdmin, async (req, res) => {
+    const { entry, error } = validateGuest(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const guests = await storage.listGuests(req.event.id);
+        const before = guests.find(guest => String(guest.id) === req.params.id);
+        if (!before) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
+        const guest = await storage.updateGuest(before.id, entry);
+        await audit(req, 'guest.update', { targetId: guest.id, before: guestSnapshot(before), after: guestSnapshot(guest) });
+        res.json({ ...guest, invite_url: inviteUrl(guest, siteUrl(req)) });
+    } catch (err) {
+        console.error('Error updating guest:', err);
+        res.status(500).json({ error: 'Failed to update guest' });
+    }
+});
+
+// Give a guest a new link, e.g. when the old one was sent to the wrong
+// person (admin). The old link stops working.
+app.post('/api/guests/:id/token', requireAdmin, async (req, res) => {
+    try {
+        const guests = await storage.listGuests(req.event.id);
+        const before = guests.find(guest => String(guest.id) === req.params.id);
+        if (!before) {
+            return res.status(404).json({ error: 'Guest not found' });
+        }
+        const guest = await storage.setGuestToken(before.id, createToken());
+        await audit(req, 'guest.token', { targetId: guest.id, before: guestSnapshot(before) });
+        res.json({ ...guest, invite_url: inviteUrl(guest, siteUrl(req)) });
+    } catch (error) {
+        console.error('Error replacing invitation link:', error);
+        res.status(500).json({ error: 'Failed to create a new link' });
+    }
+});
+
+// Remove a guest (admin); their link stops working
+app.delete('/api/guests/:id', requireAdmin, async (req, res) => {
+    try {
+        const guests = await storage.listGuests(req.event.id);
+        const before = guests.find(guest => String(guest.id) === req.params.id);
+        if (before) {
+            await storage.deleteGuest(before.id);
+            await audit(req, 'guest.delete', { targetId: before.id, before: guestSnapshot(before) });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting guest:', error);
+        res.status(500).json({ error: 'Failed to delete guest' });
+    }
+});
+
+// Delete an RSVP (admin)
+app.delete('/api/rsvps/:id', requireAdmin, async (req, res) => {
+    const { id } = req.params;
+
+    try {
+        const rsvp = await storage.deleteRsvp(id);
+        if (rsvp) {
+            await audit(req, 'rsvp.delete', { targetId: id, before: rsvp });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting RSVP:', error);
+        res.status(500).json({ error: 'Failed to delete RSVP' });
+    }
+});
+
+// Photo moderation uses the same states as messages
+const PHOTO_STATUSES = MESSAGE_STATUSES;
+const MAX_CAPTION_LENGTH = 200;
+
+// Public view of a photo row, with URLs for the full image and thumbnail
+function photoResponse(photo) {
+    return {
+        id: photo.id,
+        uploader_name: photo.uploader_name,
+        caption: photo.caption,
+        width: photo.width,
+        height: photo.height,
+        status: photo.status,
+        created_at: photo.created_at,
+        url: `/api/photos/${photo.id}/image`,
+        thumbUrl: `/api/photos/${photo.id}/thumb`
+    };
+}
+
+// Get all uploaded photos, optionally filtered by ?status= (admin)
+app.get('/api/photos', requireAdmin, async (req, res) => {
+    const { status } = req.query;
+
+    if (status && !PHOTO_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid photo status' });
+    }
+
+    try {
+        const photos = await storage.listPhotos({ eventId: req.event.id, status });
+        res.json(photos.map(photo => ({ ...photoResponse(photo), original_name: photo.original_name, size_bytes: photo.size_bytes })));
+    } catch (error) {
+        console.error('Error fetching photos:', error);
+        res.status(500).json({ error: 'Failed to fetch photos' });
+    }
+});
+
+// Get approved photos for the party album
+app.get('/api/photos/public', async (req, res) => {
+    try {
+        const photos = await storage.listPhotos({ eventId: req.event.id, status: 'approved' });
+        res.json(photos.map(photoResponse));
+    } catch (error) {
+        console.error('Error fetching public photos:', error);
+        res.status(500).json({ error: 'Failed to fetch photos' });
+    }
+});
+
+// Get the catalog of timeline/gallery photos, with missing files flagged
+app.get('/api/photos/catalog', async (req, res) => {
+    try {
+        res.json(await getCatalog(storage, req.event));
+    } catch (error) {
+        console.error('Error fetching photo catalog:', error);
+        res.status(500).json({ error: 'Failed to fetch photo catalog' });
+    }
+});
+
+// Replace the photo catalog (admin)
+app.put('/api/photos/catalog', requireAdmin, async (req, res) => {
+    const { catalog, error } = validateCatalog(req.body);
+
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const before = await getCatalog(storage, req.event);
+        await saveCatalog(storage, req.event, catalog);
+        await audit(req, 'catalog.update', {
+            before: { photos: before.photos.map(({ available, ...photo }) => photo), event: req.event.slug },
+            after: { ...catalog, event: req.event.slug }
+        });
+        res.json(await getCatalog(storage, req.event));
+    } catch (err) {
+        console.error('Error saving photo catalog:', err);
+        res.status(500).json({ error: 'Failed to save photo catalog' });
+    }
+});
+
+// Upload a party photo (multipart field "photo", plus optional name and caption)
+app.post('/api/photos', rateLimit({ limit: 20 }), parsePhotoUpload, async (req, res) => {
+    const { name = '', caption = '' } = req.body;
+
+    if (!req.file) {
+        return res.status(400).json({ error: 'Please choose a photo to upload' });
+    }
+    // A repeated form field arrives as an array
+    if (typeof name !== 'string' || typeof caption !== 'string') {
+        return res.status(400).json({ error: 'Name and caption must be text' });
+    }
+    if (name.trim().length > MAX_NAME_LENGTH || caption.trim().length > MAX_CAPTION_LENGTH) {
+        return res.status(400).json({ error: `Name and caption must be at most ${MAX_NAME_LENGTH} and ${MAX_CAPTION_LENGTH} characters` });
+    }
+
+    let files;
+    try {
+        files = await processPhoto(req.file.buffer);
+    } catch (error) {
+        if (error.status) {
+            return res.status(error.status).json({ error: error.message });
+        }
+        console.error('Error processing photo:', error);
+        return res.status(500).json({ error: 'Failed to process photo' });
+    }
+
+    try {
+        const photo = await storage.createPhoto({
+            ...files,
+            eventId: req.event.id,
+            originalName: req.file.originalname,
+            uploaderName: name.trim() || null,
+            caption: caption.trim() || null
+        });
+        res.status(201).json(photoResponse(photo));
+    } catch (error) {
+        await removePhotoFiles(files);
+        console.error('Error saving photo:', error);
+        res.status(500).json({ error: 'Failed to save photo' });
+    }
+});
+
+// Serve a photo or its thumbnail. Only approved photos are public;
+// the dashboard fetches pending ones with its session token.
+app.get('/api/photos/:id/:variant(image|thumb)', async (req, res) => {
+    try {
+        const photo = await storage.getPhoto(req.params.id);
+        if (!photo || (photo.status !== 'approved' && !isAdminRequest(req))) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+        res.set('Cache-Control', photo.status === 'approved' ? 'public, max-age=86400' : 'private, no-store');
+        res.sendFile(photoFilePath(photo, req.params.variant));
+    } catch (error) {
+        console.error('Error serving photo:', error);
+        res.status(500).json({ error: 'Failed to load photo' });
+    }
+});
+
+// Move a photo to another moderation state (admin)
+app.patch('/api/photos/:id', requireAdmin, async (req, res) => {
+    const { status } = req.body;
+
+    if (!PHOTO_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Invalid photo status' });
+    }
+
+    try {
+        const current = await storage.getPhoto(req.params.id);
+        const before = current && { status: current.status };
+        const photo = await storage.updatePhotoStatus(req.params.id, status);
+        if (!photo) {
+            return res.status(404).json({ error: 'Photo not found' });
+        }
+        await audit(req, 'photo.status', { targetId: photo.id, before, after: { status } });
+        res.json(photoResponse(photo));
+    } catch (error) {
+        console.error('Error updating photo:', error);
+        res.status(500).json({ error: 'Failed to update photo' });
+    }
+});
+
+// Delete a photo and its files (admin)
+app.delete('/api/photos/:id', requireAdmin, async (req, res) => {
+    try {
+        const photo = await storage.deletePhoto(req.params.id);
+        if (photo) {
+            await removePhotoFiles(photo);
+            await audit(req, 'photo.delete', {
+                targetId: photo.id,
+                before: {
+                    original_name: photo.original_name,
+                    uploader_name: photo.uploader_name,
+                    caption: photo.caption,
+                    status: photo.status
+                }
+            });
+        }
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Error deleting photo:', error);
+        res.status(500).json({ error: 'Failed to delete photo' });
+    }
+});
+
+// Audit log of admin actions, newest first (admin).
+// Query: action, actor (part of the name), targetId, from/to (ISO dates,
+// `to` exclusive), limit, cursor (nextCursor of the previous page).
+app.get('/api/audit', requireAdmin, async (req, res) => {
+    const { action, actor, targetId, cursor } = req.query;
+    const from = parseDateParam(req.query.from);
+    const to = parseDateParam(req.query.to);
+    const limit = pageLimit(req.query.limit, AUDIT_PAGE_SIZE, MAX_AUDIT_PAGE_SIZE);
+
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+        return res.status(400).json({ error: 'Unknown action' });
+    }
+    if (from === null || to === null) {
+        return res.status(400).json({ error: 'Invalid date range' });
+    }
+    if (cursor && !/^\d+$/.test(cursor)) {
+        return res.status(400).json({ error: 'Invalid cursor' });
+    }
+
+    try {
+        const rows = await storage.listAuditEntries({
+            action,
+            actor: typeof actor === 'string' ? actor.trim() : undefined,
+            targetId: typeof targetId === 'string' ? targetId : undefined,
+            from,
+            to,
+            limit: limit + 1,
+            beforeId: cursor
+        });
+        const entries = rows.slice(0, limit);
+        res.json({
+            entries,
+            nextCursor: rows.length > limit ? String(entries[entries.length - 1].id) : null,
+            actions: AUDIT_ACTIONS
+        });
+    } catch (error) {
+        console.error('Error fetching audit log:', error);
+        res.status(500).json({ error: 'Failed to fetch audit log' });
+    }
+});
+
+// Top scores for one racing game
+app.get('/api/leaderboard/:game', async (req, res) => {
+    const { game } = req.params;
+
+    if (!isGame(game)) {
+        return res.status(404).json({ error: 'Unknown game' });
+    }
+
+    try {
+        res.json({ game, leaderboard: await storage.listTopScores(game, LEADERBOARD_SIZE) });
+    } catch (error) {
+        console.error('Error fetching leaderboard:', error);
+        res.status(500).json({ error: 'Failed to fetch leaderboard' });
+    }
+});
+
+// "Beat my score" card for one result
+app.get('/api/leaderboard/scores/:id(\\d{1,9})/preview.png', previewLimit, async (req, res) => {
+    let score;
+    try {
+        score = await storage.getScore(req.params.id);
+    } catch (error) {
+        console.error('Error loading score:', error);
+        return res.status(500).json({ error: 'Failed to create preview image' });
+    }
+    if (!score || !isGame(score.game)) {
+        return res.status(404).json({ error: 'Score not found' });
+    }
+
+    sendPreview(res, () => renderScorePreview({ ...gameCard(score.game), playerName: score.player_name, score: score.score }));
+});
+
+// The game's own card, for links to the game page
+app.get('/api/leaderboard/:game/preview.png', previewLimit, (req, res) => {
+    if (!isGame(req.params.game)) {
+        return res.status(404).json({ error: 'Unknown game' });
+    }
+    sendPreview(res, () => renderScorePreview({ ...gameCard(req.params.game), playerName: null, score: null }));
+});
+
+// Submit a finished race; responds with the player's rank and the top scores
+app.post('/api/leaderboard', rateLimit({ limit: 30, noun: 'scores' }), async (req, res) => {
+    const { entry, error } = validateScore(req.body);
+    if (error) {
+        return res.status(400).json({ error });
+    }
+
+    try {
+        const row = await storage.createScore(entry);
+        const { rank, total } = await storage.getScoreRank(row);
+        const leaderboard = await storage.listTopScores(entry.game, LEADERBOARD_SIZE);
+        res.status(201).json({ id: row.id, game: entry.game, rank, total, leaderboard });
+    } catch (error) {
+        console.error('Error saving score:', error);
+        res.status(500).json({ error: 'Failed to save score' });
+    }
+});
+
 // Stats endpoint
 app.get('/api/stats', async (req, res) => {
     try {
-        const result = await pool.query('SELECT COUNT(*) as count FROM messages');
-        res.json({ totalMessages: parseInt(result.rows[0].count) });
+        res.json(await storage.getStats(req.event.id));
     } catch (error) {
         console.error('Error fetching stats:', error);
         res.status(500).json({ error: 'Failed to fetch stats' });
     }
 });
 
+// QR code (SVG) for a page on the site, e.g. the message form on the live slideshow
+const MAX_QR_URL_LENGTH = 500;
+
+app.get('/api/qr.svg', async (req, res) => {
+    const { url } = req.query;
+
+    if (typeof url !== 'string' || url.length > MAX_QR_URL_LENGTH || !/^https?:\/\//.test(url)) {
+        return res.status(400).json({ error: 'A http(s) url is required' });
+    }
+
+    try {
+        const svg = await QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+        res.set('Cache-Control', 'public, max-age=86400');
+        res.type('image/svg+xml').send(svg);
+    } catch (error) {
+        console.error('Error generating QR code:', error);
+        res.status(500).json({ error: 'Failed to generate QR code' });
+    }
+});
+
 // Health check for Railway
 app.get('/health', (req, res) => {
     res.json({ status: 'ok' });
 });
 
-app.listen(PORT, () => {
-    console.log(`Server running on port ${PORT}`);
-});
+// Prepare storage (runs Postgres migrations) before accepting requests
+storage.init()
+    .then(() => {
+        startTrashPurge(storage);
+        app.listen(PORT, () => {
+            console.log(`Server running on port ${PORT}`);
+        });
+    })
+    .catch(error => {
+        console.error('Storage initialization error:', error);
+        process.exit(1);
+    });
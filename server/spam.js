@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+// An integer setting from the environment, or `fallback` when unset or not
+// a number. Unlike `|| fallback`, this keeps an explicit 0.
+function envInteger(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return isNaN(value) ? fallback : value;
+}
+
+// Limits for guest messages. MESSAGE_MIN_SUBMIT_MS=0 turns the timing check off.
+const MAX_NAME_LENGTH = 100;
+const MAX_MESSAGE_LENGTH = 1000;
+const MIN_SUBMIT_MS = envInteger('MESSAGE_MIN_SUBMIT_MS', 3000);
+const RATE_LIMIT = parseInt(process.env.MESSAGE_RATE_LIMIT) || 5;
+const RATE_WINDOW_MS = (parseFloat(process.env.MESSAGE_RATE_WINDOW_MINUTES) || 10) * 60 * 1000;
+const DUPLICATE_WINDOW_HOURS = 24;
+
+// Blocked words and phrases: one per line in blocklist.txt (or BLOCKLIST_FILE),
+// plus any comma-separated extras in MESSAGE_BLOCKLIST
+function loadBlocklist() {
+    const file = process.env.BLOCKLIST_FILE || path.join(__dirname, 'blocklist.txt');
+    let entries = [];
+
+    try {
+        entries = fs.readFileSync(file, 'utf8').split('\n');
+    } catch (error) {
+        console.warn(`Blocklist file not loaded (${file}):`, error.message);
+    }
+
+    entries = entries.concat((process.env.MESSAGE_BLOCKLIST || '').split(','));
+    return entries
+        .map(entry => entry.trim().toLowerCase())
+        .filter(entry => entry && !entry.startsWith('#'));
+}
+
+const blocklist = loadBlocklist();
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+const blocklistPattern = blocklist.length > 0
+    ? new RegExp(`\\b(${blocklist.map(escapeRegExp).join('|')})\\b`, 'i')
+    : null;
+
+function containsBlockedContent(text) {
+    return blocklistPattern ? blocklistPattern.test(text) : false;
+}
+
+// Per-IP fixed-window rate limiter kept in memory
+function rateLimit({ limit = RATE_LIMIT, windowMs = RATE_WINDOW_MS, noun = 'messages' } = {}) {
+    const hits = new Map();
+
+    // Forget expired windows so the map doesn't grow forever
+    setInterval(() => {
+        const now = Date.now();
+        for (const [ip, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(ip);
+        }
+    }, windowMs).unref();
+
+    return (req, res, next) => {
+        const now = Date.now();
+        let entry = hits.get(req.ip);
+
+        if (!entry || entry.resetAt <= now) {
+            entry = { count: 0, resetAt: now + windowMs };
+            hits.set(req.ip, entry);
+        }
+
+        entry.count++;
+        if (entry.count > limit) {
+            const retryAfter = Math.ceil((entry.resetAt - now) / 1000);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({
+                error: `Too many ${noun}. Please wait ${Math.ceil(retryAfter / 60)} minute(s) and try again.`
+            });
+        }
+        next();
+    };
+}
+
+// Returns an error message for a suspicious or invalid submission, or null.
+// Voice and video wishes don't need any text.
+function checkSubmission({ name, message, website, elapsedMs }, { messageRequired = true } = {}) {
+    // Real guests never see the honeypot field
+    if (website) {
+        return 'Your message could not be accepted';
+    }
+    if (MIN_SUBMIT_MS > 0 && (typeof elapsedMs !== 'number' || elapsedMs < MIN_SUBMIT_MS)) {
+        return 'That was quick! Please take a moment and try again.';
+    }
+    if (typeof name !== 'string' || typeof message !== 'string' || !name.trim() || (messageRequired && !message.trim())) {
+        return messageRequired ? 'Name and message are required' : 'Name is required';
+    }
+    if (name.trim().length > MAX_NAME_LENGTH) {
+        return `Name must be ${MAX_NAME_LENGTH} characters or fewer`;
+    }
+    if (message.trim().length > MAX_MESSAGE_LENGTH) {
+        return `Message must be ${MAX_MESSAGE_LENGTH} characters or fewer`;
+    }
+    if (containsBlockedContent(name) || containsBlockedContent(message)) {
+        return 'Your message contains words that are not allowed';
+    }
+    return null;
+}
+
+module.exports = {
+    MAX_NAME_LENGTH,
+    MAX_MESSAGE_LENGTH,
+    rateLimit,
+    DUPLICATE_WINDOW_HOURS,
+    containsBlockedContent,
+    checkSubmission
+};
@@ -0,0 +1,605 @@
+const fs = require('fs');
+const path = require('path');
+const { searchTerms } = require('./search');
+const { FIRST_EVENT, eventRow } = require('../event-details');
+
+// Local storage backend: everything lives in memory and is written to a
+// single JSON file after each change. Meant for running offline at the
+// venue or in tests, not for many concurrent writers.
+
+const EMPTY_DATA = {
+    nextIds: { events: 2, messages: 1, rsvps: 1, guests: 1, photos: 1, scores: 1, auditLog: 1 },
+    events: [FIRST_EVENT],
+    messages: [],
+    rsvps: [],
+    guests: [],
+    photos: [],
+    scores: [],
+    reactions: [],
+    auditLog: [],
+    settings: {}
+};
+
+function sameId(a, b) {
+    return String(a) === String(b);
+}
+
+// Newest first, ties broken by id like the Postgres ORDER BY
+function byNewest(a, b) {
+    return Date.parse(b.created_at) - Date.parse(a.created_at) || b.id - a.id;
+}
+
+// Sort orders for the admin message list, matching storage/postgres.js.
+// "loved" needs rows from withReactions().
+const MESSAGE_ORDER = {
+    newest: byNewest,
+    oldest: (a, b) => byNewest(b, a),
+    name: (a, b) => {
+        const nameA = a.name.toLowerCase();
+        const nameB = b.name.toLowerCase();
+        return (nameA < nameB ? -1 : nameA > nameB ? 1 : 0) || a.id - b.id;
+    },
+    loved: (a, b) => b.reaction_count - a.reaction_count || b.id - a.id
+};
+
+// Messages without deleted_at (including ones stored before the trash existed) are live
+function isLive(msg) {
+    return !msg.deleted_at;
+}
+
+function matchesMessageFilters(msg, { eventId, status, search, from, to, trash = false }) {
+    if (isLive(msg) === trash) return false;
+    if (eventId && !sameId(msg.event_id, eventId)) return false;
+    if (status && msg.status !== status) return false;
+    if (from && Date.parse(msg.created_at) < Date.parse(from)) return false;
+    if (to && Date.parse(msg.created_at) >= Date.parse(to)) return false;
+
+    const words = searchTerms(`${msg.name} ${msg.message}`);
+    return searchTerms(search).every(term => words.some(word => word.startsWith(term)));
+}
+
+// Guest list order, matching storage/postgres.js: households together,
+// then by name
+function byHousehold(a, b) {
+    const keyA = [(a.household || a.name).toLowerCase(), a.name.toLowerCase()];
+    const keyB = [(b.household || b.name).toLowerCase(), b.name.toLowerCase()];
+    for (let i = 0; i < keyA.length; i++) {
+        if (keyA[i] !== keyB[i]) return keyA[i] < keyB[i] ? -1 : 1;
+    }
+    return a.id - b.id;
+}
+
+// Leaderboard order: highest score, then fastest time, then earliest entry
+function byRank(a, b) {
+    return b.score - a.score || a.time_ms - b.time_ms || a.id - b.id;
+}
+
+function createFileStorage(filePath) {
+    let data = null;
+    let writeQueue = Promise.resolve();
+
+    function load() {
+        try {
+            const stored = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+            const loaded = { ...EMPTY_DATA, ...stored, nextIds: { ...EMPTY_DATA.nextIds, ...stored.nextIds } };
+            // Files from before events belong to the first party
+            for (const table of ['messages', 'rsvps', 'photos']) {
+                loaded[table].forEach(row => { row.event_id = row.event_id || FIRST_EVENT.id; });
+            }
+            // Like migration 013: the first party's old portrait was never in assets/photos
+            loaded.events.forEach(event => {
+                if (event.portrait === 'IMG_8850.png') event.portrait = FIRST_EVENT.portrait;
+            });
+            return loaded;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+            return JSON.parse(JSON.stringify(EMPTY_DATA));
+        }
+    }
+
+    // Write to a temp file and rename so a crash never leaves half a file.
+    // Writes are queued so they land in order.
+    function persist() {
+        const snapshot = JSON.stringify(data, null, 2);
+        writeQueue = writeQueue.catch(() => {}).then(async () => {
+            const tempPath = `${filePath}.tmp`;
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, filePath);
+        });
+        return writeQueue;
+    }
+
+    function nextId(table) {
+        return data.nextIds[table]++;
+    }
+
+    function reactionCounts(messageId) {
+        const counts = {};
+        data.reactions
+            .filter(entry => sameId(entry.message_id, messageId))
+            .forEach(entry => { counts[entry.reaction] = (counts[entry.reaction] || 0) + 1; });
+        return counts;
+    }
+
+    // A copy of the message with its reaction totals, like the Postgres queries
+    function withReactions(msg) {
+        const reactions = reactionCounts(msg.id);
+        const total = Object.values(reactions).reduce((sum, count) => sum + count, 0);
+        return { ...msg, reactions, reaction_count: total };
+    }
+
+    // Purged messages take their reactions with them
+    function dropOrphanReactions() {
+        data.reactions = data.reactions.filter(entry => data.messages.some(msg => sameId(msg.id, entry.message_id)));
+    }
+
+    return {
+        name: 'file',
+
+        async init() {
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            data = load();
+            console.log(`Using local data file ${filePath}`);
+        },
+
+        // ---------- Events ----------
+
+        async listEvents() {
+            return data.events
+                .slice()
+                .sort((a, b) => (a.starts_at < b.starts_at ? -1 : a.starts_at > b.starts_at ? 1 : a.id - b.id));
+        },
+
+        async createEvent(entry) {
+            const now = new Date().toISOString();
+            const row = { id: nextId('events'), ...eventRow(entry), created_at: now, updated_at: now };
+            data.events.push(row);
+            await persist();
+            return row;
+        },
+
+        async updateEvent(id, entry) {
+            const row = data.events.find(event => sameId(event.id, id));
+            if (!row) return null;
+            Object.assign(row, eventRow(entry), { updated_at: new Date().toISOString() });
+            await persist();
+            return row;
+        },
+
+        // ---------- Messages ----------
+
+        async listMessages({ eventId, status, search, from, to, trash, sort = 'newest', limit, after } = {}) {
+            const order = MESSAGE_ORDER[sort];
+            // A stand-in row holding the cursor's sort key
+            const cursorKey = { name: 'name', loved: 'reaction_count' }[sort] || 'created_at';
+            const cursorRow = after && {
+                [cursorKey]: sort === 'loved' ? Number(after.key) : after.key,
+                id: Number(after.id)
+            };
+
+            const rows = data.messages
+                .filter(msg => matchesMessageFilters(msg, { eventId, status, search, from, to, trash }))
+                .map(withReactions)
+                .filter(msg => !cursorRow || order(msg, cursorRow) > 0)
+                .sort(order);
+            return limit ? rows.slice(0, limit) : rows;
+        },
+
+        async countMessages({ eventId, search, from, to } = {}) {
+            const counts = {};
+            data.messages
+                .filter(msg => matchesMessageFilters(msg, { eventId, search, from, to, trash: !isLive(msg) }))
+                .forEach(msg => {
+                    const bucket = isLive(msg) ? msg.status : 'trash';
+                    counts[bucket] = (counts[bucket] || 0) + 1;
+                });
+            return counts;
+        },
+
+        async listApprovedMessages({ eventId, limit, before }) {
+            return data.messages
+                .filter(msg => sameId(msg.event_id, eventId) && msg.status === 'approved' && isLive(msg))
+                .filter(msg => !before || byNewest(msg, { created_at: before.createdAt, id: Number(before.id) }) > 0)
+                .sort(byNewest)
+                .slice(0, limit)
+                .map(withReactions)
+                .map(({ id, name, message, media_type = null, media_duration = null, created_at, reactions, reaction_count }) =>
+                    ({ id, name, message, media_type, media_duration, created_at, reactions, reaction_count }));
+        },
+
+        // Messages by id, live or in the trash
+        async getMessages(ids) {
+            return data.messages.filter(msg => ids.some(id => sameId(msg.id, id)));
+        },
+
+        // `media` describes an attached voice or video clip, if any
+        async createMessage({ eventId, name, message, media }) {
+            const row = {
+                id: nextId('messages'),
+                event_id: eventId,
+                name,
+                message,
+                media_filename: media ? media.filename : null,
+                media_type: media ? media.type : null,
+                media_duration: media ? media.duration : null,
+                media_size: media ? media.sizeBytes : null,
+                status: 'pending',
+                created_at: new Date().toISOString(),
+                deleted_at: null
+            };
+            data.messages.push(row);
+            await persist();
+            return row;
+        },
+
+        async hasRecentDuplicate({ eventId, name, message, hours }) {
+            const since = Date.now() - hours * 60 * 60 * 1000;
+            return data.messages.some(msg =>
+                isLive(msg) &&
+                sameId(msg.event_id, eventId) &&
+                msg.name.toLowerCase() === name.toLowerCase() &&
+                msg.message.toLowerCase() === message.toLowerCase() &&
+                Date.parse(msg.created_at) > since
+            );
+        },
+
+        async updateMessageStatus(id, status) {
+            const row = data.messages.find(msg => sameId(msg.id, id) && isLive(msg));
+            if (!row) return null;
+            row.status = status;
+            await persist();
+            return row;
+        },
+
+        async updateMessagesStatus(ids, status) {
+            const rows = data.messages.filter(msg => isLive(msg) && ids.some(id => sameId(msg.id, id)));
+            rows.forEach(row => { row.status = status; });
+            await persist();
+            return rows;
+        },
+
+        // Moves a message to the trash; returns it, or null if there was none
+        async deleteMessage(id) {
+            const row = data.messages.find(msg => sameId(msg.id, id) && isLive(msg));
+            if (!row) return null;
+            row.deleted_at = new Date().toISOString();
+            await persist();
+            return row;
+        },
+
+        // Moves every live message of the event to the trash and returns them
+        async clearMessages(eventId) {
+            const now = new Date().toISOString();
+            const rows = data.messages.filter(msg => isLive(msg) && sameId(msg.event_id, eventId));
+            rows.forEach(row => { row.deleted_at = now; });
+            await persist();
+            return rows;
+        },
+
+        async restoreMessages(ids) {
+            const rows = data.messages.filter(msg => !isLive(msg) && ids.some(id => sameId(msg.id, id)));
+            rows.forEach(row => { row.deleted_at = null; });
+            await persist();
+            return rows;
+        },
+
+        // Permanently deletes trashed messages: the given ids, or all of the
+        // event's. Returns the deleted rows so their media files can be removed.
+        async purgeMessages(ids, eventId) {
+            const purged = data.messages.filter(msg => !isLive(msg) &&
+                (ids ? ids.some(id => sameId(msg.id, id)) : sameId(msg.event_id, eventId)));
+            data.messages = data.messages.filter(msg => !purged.includes(msg));
+            dropOrphanReactions();
+            await persist();
+            return purged;
+        },
+
+        async purgeMessagesDeletedBefore(cutoff) {
+            const purged = data.messages.filter(msg => !isLive(msg) && Date.parse(msg.deleted_at) < Date.parse(cutoff));
+            if (purged.length > 0) {
+                data.messages = data.messages.filter(msg => !purged.includes(msg));
+                dropOrphanReactions();
+                await persist();
+            }
+            return purged;
+        },
+
+        // Restores backed-up messages with their original status and timestamp
+        async importMessages(entries) {
+            const rows = entries.map(({ eventId, name, message, status, createdAt }) => ({
+                id: nextId('messages'),
+                event_id: eventId,
+                name,
+                message,
+                status,
+                created_at: createdAt,
+                deleted_at: null
+            }));
+            data.messages.push(...rows);
+            await persist();
+            return rows;
+        },
+
+        // ---------- Reactions ----------
+
+        // One of each reaction per device; repeats are ignored
+        async addReaction({ messageId, reaction, deviceId }) {
+            const exists = data.reactions.some(entry =>
+                sameId(entry.message_id, messageId) && entry.reaction === reaction && entry.device_id === deviceId);
+            if (exists) return;
+            data.reactions.push({
+                message_id: Number(messageId),
+                reaction,
+                device_id: deviceId,
+                created_at: new Date().toISOString()
+            });
+            await persist();
+        },
+
+        async removeReaction({ messageId, reaction, deviceId }) {
+            const count = data.reactions.length;
+            data.reactions = data.reactions.filter(entry =>
+                !(sameId(entry.message_id, messageId) && entry.reaction === reaction && entry.device_id === deviceId));
+            if (data.reactions.length !== count) await persist();
+        },
+
+        // Totals for one message, e.g. { heart: 3, party: 1 }
+        async getReactionCounts(messageId) {
+            return reactionCounts(messageId);
+        },
+
+        // The reactions one device has left on any of the given messages
+        async listDeviceReactions(deviceId, messageIds) {
+            return data.reactions
+                .filter(entry => entry.device_id === deviceId && messageIds.some(id => sameId(entry.message_id, id)))
+                .map(({ message_id, reaction }) => ({ message_id, reaction }));
+        },
+
+        // ---------- RSVPs ----------
+
+        async listRsvps(eventId) {
+            return data.rsvps
+                .filter(rsvp => sameId(rsvp.event_id, eventId))
+                .sort((a, b) => Date.parse(b.updated_at) - Date.parse(a.updated_at));
+        },
+
+        async saveRsvp({ eventId, name, email, status, adults, children, dietary }) {
+            const now = new Date().toISOString();
+            let row = data.rsvps.find(rsvp => sameId(rsvp.event_id, eventId) && rsvp.email === email);
+
+            if (row) {
+                Object.assign(row, { name, status, adults, children, dietary, updated_at: now });
+            } else {
+                row = { id: nextId('rsvps'), event_id: eventId, name, email, status, adults, children, dietary, created_at: now, updated_at: now };
+                data.rsvps.push(row);
+            }
+            await persist();
+            return row;
+        },
+
+        async deleteRsvp(id) {
+            const row = data.rsvps.find(rsvp => sameId(rsvp.id, id));
+            if (!row) return null;
+            data.rsvps = data.rsvps.filter(rsvp => rsvp !== row);
+            await persist();
+            return row;
+        },
+
+        // ---------- Guests ----------
+
+        async listGuests(eventId) {
+            return data.guests.filter(guest => sameId(guest.event_id, eventId)).sort(byHousehold);
+        },
+
+        async getGuestByToken(token) {
+            return data.guests.find(guest => guest.token === token) || null;
+        },
+
+        async createGuest({ eventId, name, household, contact, token }) {
+            const now = new Date().toISOString();
+            const row = {
+                id: nextId('guests'),
+                event_id: eventId,
+                name,
+                household,
+                contact,
+                token,
+                open_count: 0,
+                first_opened_at: null,
+                last_opened_at: null,
+                created_at: now,
+                updated_at: now
+            };
+            data.guests.push(row);
+            await persist();
+            return row;
+        },
+
+        async updateGuest(id, { name, household, contact }) {
+            const row = data.guests.find(guest => sameId(guest.id, id));
+            if (!row) return null;
+            Object.assign(row, { name, household, contact, updated_at: new Date().toISOString() });
+            await persist();
+            return row;
+        },
+
+        async setGuestToken(id, token) {
+            const row = data.guests.find(guest => sameId(guest.id, id));
+            if (!row) return null;
+            Object.assign(row, { token, updated_at: new Date().toISOString() });
+            await persist();
+            return row;
+        },
+
+        async recordGuestOpen(id) {
+            const row = data.guests.find(guest => sameId(guest.id, id));
+            if (!row) return;
+            const now = new Date().toISOString();
+            Object.assign(row, { open_count: row.open_count + 1, first_opened_at: row.first_opened_at || now, last_opened_at: now });
+            await persist();
+        },
+
+        async deleteGuest(id) {
+            const row = data.guests.find(guest => sameId(guest.id, id));
+            if (!row) return null;
+            data.guests = data.guests.filter(guest => guest !== row);
+            await persist();
+            return row;
+        },
+
+        // ---------- Photos ----------
+
+        async listPhotos({ eventId, status } = {}) {
+            return data.photos
+                .filter(photo => sameId(photo.event_id, eventId) && (!status || photo.status === status))
+                .sort(byNewest);
+        },
+
+        async getPhoto(id) {
+            return data.photos.find(photo => sameId(photo.id, id)) || null;
+        },
+
+        async createPhoto({ eventId, filename, thumbnail, originalName, uploaderName, caption, width, height, sizeBytes }) {
+            const row = {
+                id: nextId('photos'),
+                event_id: eventId,
+                filename,
+                thumbnail,
+                original_name: originalName,
+                uploader_name: uploaderName,
+                caption,
+                width,
+                height,
+                size_bytes: sizeBytes,
+                status: 'pending',
+                created_at: new Date().toISOString()
+            };
+            data.photos.push(row);
+            await persist();
+            return row;
+        },
+
+        async updatePhotoStatus(id, status) {
+            const row = data.photos.find(photo => sameId(photo.id, id));
+            if (!row) return null;
+            row.status = status;
+            await persist();
+            return row;
+        },
+
+        async deletePhoto(id) {
+            const row = data.photos.find(photo => sameId(photo.id, id));
+            if (!row) return null;
+            data.photos = data.photos.filter(photo => photo !== row);
+            await persist();
+            return row;
+        },
+
+        // ---------- Leaderboard ----------
+
+        async createScore({ game, playerName, score, timeMs, stats }) {
+            const row = {
+                id: nextId('scores'),
+                game,
+                player_name: playerName,
+                score,
+                time_ms: timeMs,
+                stats,
+                created_at: new Date().toISOString()
+            };
+            data.scores.push(row);
+            await persist();
+            return row;
+        },
+
+        async listTopScores(game, limit) {
+            return data.scores
+                .filter(entry => entry.game === game)
+                .sort(byRank)
+                .slice(0, limit)
+                .map(({ id, player_name, score, time_ms, created_at }) => ({ id, player_name, score, time_ms, created_at }));
+        },
+
+        async getScore(id) {
+            const row = data.scores.find(entry => sameId(entry.id, id));
+            if (!row) return null;
+            const { game, player_name, score, time_ms, created_at } = row;
+            return { id: row.id, game, player_name, score, time_ms, created_at };
+        },
+
+        async getScoreRank(row) {
+            const scores = data.scores.filter(entry => entry.game === row.game);
+            const ahead = scores.filter(entry => byRank(entry, row) < 0).length;
+            return { rank: ahead + 1, total: scores.length };
+        },
+
+        // ---------- Audit log ----------
+
+        async createAuditEntry({ actor, action, targetId, before, after, ip }) {
+            const row = {
+                id: nextId('auditLog'),
+                actor,
+                action,
+                target_id: targetId,
+                before_state: before,
+                after_state: after,
+                ip,
+                created_at: new Date().toISOString()
+            };
+            data.auditLog.push(row);
+            await persist();
+            return row;
+        },
+
+        // Newest first; `beforeId` continues from the last entry of a page
+        async listAuditEntries({ action, actor, targetId, from, to, limit, beforeId } = {}) {
+            return data.auditLog
+                .filter(entry =>
+                    (!action || entry.action === action) &&
+                    (!actor || entry.actor.toLowerCase().includes(actor.toLowerCase())) &&
+                    (!targetId || entry.target_id === targetId) &&
+                    (!from || Date.parse(entry.created_at) >= Date.parse(from)) &&
+                    (!to || Date.parse(entry.created_at) < Date.parse(to)) &&
+                    (!beforeId || entry.id < Number(beforeId)))
+                .sort((a, b) => b.id - a.id)
+                .slice(0, limit);
+        },
+
+        // ---------- Settings ----------
+
+        async getSetting(key) {
+            return key in data.settings ? data.settings[key] : null;
+        },
+
+        async setSetting(key, value) {
+            data.settings[key] = value;
+            await persist();
+        },
+
+        // ---------- Stats ----------
+
+        async getStats(eventId) {
+            const ofEvent = row => sameId(row.event_id, eventId);
+            const rsvps = data.rsvps.filter(ofEvent);
+            const count = status => rsvps.filter(rsvp => rsvp.status === status).length;
+            const messages = data.messages.filter(msg => isLive(msg) && ofEvent(msg));
+            const attending = rsvps.filter(rsvp => rsvp.status === 'attending');
+            const adults = attending.reduce((sum, rsvp) => sum + rsvp.adults, 0);
+            const children = attending.reduce((sum, rsvp) => sum + rsvp.children, 0);
+
+            return {
+                totalMessages: messages.length,
+                pendingMessages: messages.filter(msg => msg.status === 'pending').length,
+                pendingPhotos: data.photos.filter(photo => ofEvent(photo) && photo.status === 'pending').length,
+                rsvps: {
+                    attending: count('attending'),
+                    maybe: count('maybe'),
+                    notAttending: count('not-attending')
+                },
+                expectedGuests: { adults, children, total: adults + children }
+            };
+        }
+    };
+}
+
+module.exports = { createFileStorage };
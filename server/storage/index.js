@@ -0,0 +1,30 @@
+const path = require('path');
+const { createPostgresStorage } = require('./postgres');
+const { createFileStorage } = require('./file');
+
+// Next to the server directory, not in it: server/ is the static web root
+const DEFAULT_DATA_FILE = path.join(__dirname, '..', '..', 'data', 'messages.json');
+
+// Pick the storage backend from the environment:
+//   STORAGE_BACKEND=postgres|file  explicit choice
+//   otherwise DATABASE_URL selects postgres and DATA_FILE selects file,
+//   falling back to postgres with the standard PG* variables.
+function chooseBackend() {
+    if (process.env.STORAGE_BACKEND) return process.env.STORAGE_BACKEND;
+    if (process.env.DATABASE_URL) return 'postgres';
+    if (process.env.DATA_FILE) return 'file';
+    return 'postgres';
+}
+
+function createStorage(backend = chooseBackend()) {
+    switch (backend) {
+        case 'postgres':
+            return createPostgresStorage(require('../db'));
+        case 'file':
+            return createFileStorage(process.env.DATA_FILE || DEFAULT_DATA_FILE);
+        default:
+            throw new Error(`Unknown STORAGE_BACKEND "${backend}" (expected "postgres" or "file")`);
+    }
+}
+
+module.exports = { createStorage };
@@ -0,0 +1,560 @@
+const { runMigrations } = require('../migrate');
+const { searchTerms } = require('./search');
+
+// Reactions on a message: the total, and per reaction as { heart: 3, ... }
+const REACTION_TOTAL = '(SELECT COUNT(*) FROM message_reactions r WHERE r.message_id = messages.id)';
+const REACTION_COLUMNS = `
+    COALESCE((SELECT json_object_agg(reaction, count) FROM (
+        SELECT reaction, COUNT(*)::int AS count FROM message_reactions r
+        WHERE r.message_id = messages.id GROUP BY reaction
+    ) counts), '{}') AS reactions,
+    ${REACTION_TOTAL}::int AS reaction_count`;
+
+// Sort orders for the admin message list. created_at is compared at
+// millisecond precision because that is all a cursor can carry.
+// "loved" puts the most reacted-to wishes first, newest first among ties.
+const MESSAGE_ORDER = {
+    newest: { key: "date_trunc('milliseconds', created_at)", direction: 'DESC' },
+    oldest: { key: "date_trunc('milliseconds', created_at)", direction: 'ASC' },
+    name: { key: 'lower(name)', direction: 'ASC' },
+    loved: { key: REACTION_TOTAL, direction: 'DESC' }
+};
+
+// WHERE conditions for the dashboard filters; pushes values onto `params`.
+// Lists show live messages unless `trash` asks for the deleted ones.
+function messageConditions({ eventId, status, search, from, to, trash = false }, params) {
+    const conditions = [trash ? 'deleted_at IS NOT NULL' : 'deleted_at IS NULL'];
+    const add = (sql, value) => {
+        params.push(value);
+        conditions.push(sql.replace('?', `$${params.length}`));
+    };
+
+    const terms = searchTerms(search);
+    if (eventId) add('event_id = ?', eventId);
+    if (status) add('status = ?', status);
+    if (terms.length > 0) {
+        add("to_tsvector('simple', name || ' ' || message) @@ to_tsquery('simple', ?)",
+            terms.map(term => `${term}:*`).join(' & '));
+    }
+    if (from) add('created_at >= ?', from);
+    if (to) add('created_at < ?', to);
+    return conditions;
+}
+
+function whereClause(conditions) {
+    return conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+}
+
+// Event times are wall-clock strings like "2026-01-24T15:00", not instants
+const EVENT_COLUMNS = `id, slug, honoree, short_name, nickname, age,
+    to_char(starts_at, 'YYYY-MM-DD"T"HH24:MI') AS starts_at,
+    to_char(ends_at, 'YYYY-MM-DD"T"HH24:MI') AS ends_at,
+    timezone, venue_name, address, portrait, theme, created_at, updated_at`;
+
+function eventValues(entry) {
+    return [
+        entry.slug, entry.honoree, entry.shortName, entry.nickname, entry.age, entry.startsAt, entry.endsAt,
+        entry.timezone, entry.venueName, entry.address, entry.portrait, JSON.stringify(entry.theme)
+    ];
+}
+
+// PostgreSQL storage backend (production on Railway)
+function createPostgresStorage(pool) {
+    return {
+        name: 'postgres',
+
+        async init() {
+            await runMigrations(pool);
+        },
+
+        // ---------- Events ----------
+
+        async listEvents() {
+            const result = await pool.query(`SELECT ${EVENT_COLUMNS} FROM events ORDER BY starts_at, id`);
+            return result.rows;
+        },
+
+        async createEvent(entry) {
+            const result = await pool.query(
+                `INSERT INTO events (slug, honoree, short_name, nickname, age, starts_at, ends_at,
+                    timezone, venue_name, address, portrait, theme)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12) RETURNING ${EVENT_COLUMNS}`,
+                eventValues(entry)
+            );
+            return result.rows[0];
+        },
+
+        async updateEvent(id, entry) {
+            const result = await pool.query(
+                `UPDATE events SET slug = $1, honoree = $2, short_name = $3, nickname = $4, age = $5,
+                    starts_at = $6, ends_at = $7, timezone = $8, venue_name = $9, address = $10,
+                    portrait = $11, theme = $12, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $13 RETURNING ${EVENT_COLUMNS}`,
+                [...eventValues(entry), id]
+            );
+            return result.rows[0] || null;
+        },
+
+        // ---------- Messages ----------
+
+        // Filtered, sorted messages, optionally one page continuing after `after`
+        async listMessages({ eventId, status, search, from, to, trash, sort = 'newest', limit, after } = {}) {
+            const params = [];
+            const conditions = messageConditions({ eventId, status, search, from, to, trash }, params);
+            const { key, direction } = MESSAGE_ORDER[sort];
+
+            if (after) {
+                params.push(after.key, after.id);
+                conditions.push(`(${key}, id) ${direction === 'DESC' ? '<' : '>'} ($${params.length - 1}, $${params.length})`);
+            }
+
+            let sql = `SELECT *, ${REACTION_COLUMNS} FROM messages ${whereClause(conditions)} ORDER BY ${key} ${direction}, id ${direction}`;
+            if (limit) {
+                params.push(limit);
+                sql += ` LIMIT $${params.length}`;
+            }
+
+            const result = await pool.query(sql, params);
+            return result.rows;
+        },
+
+        // Number of live messages in each status matching the filters, plus
+        // the number in the trash
+        async countMessages({ eventId, search, from, to } = {}) {
+            const params = [];
+            // Drop the live/trash condition; both are counted
+            const conditions = messageConditions({ eventId, search, from, to }, params).slice(1);
+            const result = await pool.query(
+                `SELECT CASE WHEN deleted_at IS NULL THEN status ELSE 'trash' END AS bucket, COUNT(*) AS count
+                 FROM messages ${whereClause(conditions)} GROUP BY bucket`,
+                params
+            );
+
+            const counts = {};
+            result.rows.forEach(row => { counts[row.bucket] = parseInt(row.count); });
+            return counts;
+        },
+
+        // Approved messages newest first, optionally continuing after `before`
+        async listApprovedMessages({ eventId, limit, before }) {
+            const params = [limit, eventId];
+            let where = "event_id = $2 AND status = 'approved' AND deleted_at IS NULL";
+            if (before) {
+                params.push(before.createdAt, before.id);
+                where += ' AND (created_at, id) < ($3, $4)';
+            }
+
+            const result = await pool.query(
+                `SELECT id, name, message, media_type, media_duration, created_at, ${REACTION_COLUMNS} FROM messages
+                 WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT $1`,
+                params
+            );
+            return result.rows;
+        },
+
+        // Messages by id, live or in the trash
+        async getMessages(ids) {
+            const result = await pool.query('SELECT * FROM messages WHERE id = ANY($1::bigint[])', [ids]);
+            return result.rows;
+        },
+
+        // `media` describes an attached voice or video clip, if any
+        async createMessage({ eventId, name, message, media }) {
+            const result = await pool.query(
+                `INSERT INTO messages (event_id, name, message, media_filename, media_type, media_duration, media_size, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8) RETURNING *`,
+                [
+                    eventId,
+                    name,
+                    message,
+                    media ? media.filename : null,
+                    media ? media.type : null,
+                    media ? media.duration : null,
+                    media ? media.sizeBytes : null,
+                    new Date().toISOString()
+                ]
+            );
+            return result.rows[0];
+        },
+
+        // Same text from the same name within the window counts as a duplicate
+        async hasRecentDuplicate({ eventId, name, message, hours }) {
+            const result = await pool.query(
+                `SELECT 1 FROM messages
+                 WHERE event_id = $4 AND lower(name) = lower($1) AND lower(message) = lower($2) AND deleted_at IS NULL
+                   AND created_at > (NOW() AT TIME ZONE 'UTC') - make_interval(hours => $3)
+                 LIMIT 1`,
+                [name, message, hours, eventId]
+            );
+            return result.rows.length > 0;
+        },
+
+        async updateMessageStatus(id, status) {
+            const result = await pool.query(
+                'UPDATE messages SET status = $1 WHERE id = $2 AND deleted_at IS NULL RETURNING *',
+                [status, id]
+            );
+            return result.rows[0] || null;
+        },
+
+        async updateMessagesStatus(ids, status) {
+            const result = await pool.query(
+                'UPDATE messages SET status = $1 WHERE id = ANY($2::bigint[]) AND deleted_at IS NULL RETURNING *',
+                [status, ids]
+            );
+            return result.rows;
+        },
+
+        // Moves a message to the trash; returns it, or null if there was none
+        async deleteMessage(id) {
+            const result = await pool.query(
+                'UPDATE messages SET deleted_at = $1 WHERE id = $2 AND deleted_at IS NULL RETURNING *',
+                [new Date().toISOString(), id]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Moves every live message of the event to the trash and returns them
+        async clearMessages(eventId) {
+            const result = await pool.query(
+                'UPDATE messages SET deleted_at = $1 WHERE event_id = $2 AND deleted_at IS NULL RETURNING *',
+                [new Date().toISOString(), eventId]
+            );
+            return result.rows;
+        },
+
+        async restoreMessages(ids) {
+            const result = await pool.query(
+                'UPDATE messages SET deleted_at = NULL WHERE id = ANY($1::bigint[]) AND deleted_at IS NOT NULL RETURNING *',
+                [ids]
+            );
+            return result.rows;
+        },
+
+        // Permanently deletes trashed messages: the given ids, or all of the
+        // event's. Returns the deleted rows so their media files can be removed.
+        async purgeMessages(ids, eventId) {
+            const result = ids
+                ? await pool.query('DELETE FROM messages WHERE id = ANY($1::bigint[]) AND deleted_at IS NOT NULL RETURNING *', [ids])
+                : await pool.query('DELETE FROM messages WHERE event_id = $1 AND deleted_at IS NOT NULL RETURNING *', [eventId]);
+            return result.rows;
+        },
+
+        async purgeMessagesDeletedBefore(cutoff) {
+            const result = await pool.query('DELETE FROM messages WHERE deleted_at < $1 RETURNING *', [cutoff]);
+            return result.rows;
+        },
+
+        // Restores backed-up messages with their original status and timestamp
+        async importMessages(entries) {
+            if (entries.length === 0) return [];
+            const result = await pool.query(
+                `INSERT INTO messages (event_id, name, message, status, created_at)
+                 SELECT * FROM unnest($1::int[], $2::text[], $3::text[], $4::text[], $5::timestamp[])
+                 RETURNING *`,
+                [
+                    entries.map(entry => entry.eventId),
+                    entries.map(entry => entry.name),
+                    entries.map(entry => entry.message),
+                    entries.map(entry => entry.status),
+                    entries.map(entry => entry.createdAt)
+                ]
+            );
+            return result.rows;
+        },
+
+        // ---------- Reactions ----------
+
+        // One of each reaction per device; repeats are ignored
+        async addReaction({ messageId, reaction, deviceId }) {
+            await pool.query(
+                `INSERT INTO message_reactions (message_id, reaction, device_id, created_at)
+                 VALUES ($1, $2, $3, $4) ON CONFLICT DO NOTHING`,
+                [messageId, reaction, deviceId, new Date().toISOString()]
+            );
+        },
+
+        async removeReaction({ messageId, reaction, deviceId }) {
+            await pool.query(
+                'DELETE FROM message_reactions WHERE message_id = $1 AND reaction = $2 AND device_id = $3',
+                [messageId, reaction, deviceId]
+            );
+        },
+
+        // Totals for one message, e.g. { heart: 3, party: 1 }
+        async getReactionCounts(messageId) {
+            const result = await pool.query(
+                'SELECT reaction, COUNT(*) AS count FROM message_reactions WHERE message_id = $1 GROUP BY reaction',
+                [messageId]
+            );
+            return Object.fromEntries(result.rows.map(row => [row.reaction, parseInt(row.count)]));
+        },
+
+        // The reactions one device has left on any of the given messages
+        async listDeviceReactions(deviceId, messageIds) {
+            const result = await pool.query(
+                `SELECT message_id, reaction FROM message_reactions
+                 WHERE device_id = $1 AND message_id = ANY($2::bigint[])`,
+                [deviceId, messageIds]
+            );
+            return result.rows;
+        },
+
+        // ---------- RSVPs ----------
+
+        async listRsvps(eventId) {
+            const result = await pool.query('SELECT * FROM rsvps WHERE event_id = $1 ORDER BY updated_at DESC', [eventId]);
+            return result.rows;
+        },
+
+        // Insert or update the RSVP for this email address at this event
+        async saveRsvp({ eventId, name, email, status, adults, children, dietary }) {
+            const result = await pool.query(
+                `INSERT INTO rsvps (event_id, name, email, status, adults, children, dietary)
+                 VALUES ($7, $1, $2, $3, $4, $5, $6)
+                 ON CONFLICT (event_id, email) DO UPDATE SET
+                    name = EXCLUDED.name,
+                    status = EXCLUDED.status,
+                    adults = EXCLUDED.adults,
+                    children = EXCLUDED.children,
+                    dietary = EXCLUDED.dietary,
+                    updated_at = CURRENT_TIMESTAMP
+                 RETURNING *`,
+                [name, email, status, adults, children, dietary, eventId]
+            );
+            return result.rows[0];
+        },
+
+        async deleteRsvp(id) {
+            const result = await pool.query('DELETE FROM rsvps WHERE id = $1 RETURNING *', [id]);
+            return result.rows[0] || null;
+        },
+
+        // ---------- Guests ----------
+
+        // Households together, then by name
+        async listGuests(eventId) {
+            const result = await pool.query(
+                `SELECT * FROM guests WHERE event_id = $1
+                 ORDER BY lower(COALESCE(household, name)), lower(name), id`,
+                [eventId]
+            );
+            return result.rows;
+        },
+
+        async getGuestByToken(token) {
+            const result = await pool.query('SELECT * FROM guests WHERE token = $1', [token]);
+            return result.rows[0] || null;
+        },
+
+        async createGuest({ eventId, name, household, contact, token }) {
+            const result = await pool.query(
+                `INSERT INTO guests (event_id, name, household, contact, token)
+                 VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+                [eventId, name, household, contact, token]
+            );
+            return result.rows[0];
+        },
+
+        async updateGuest(id, { name, household, contact }) {
+            const result = await pool.query(
+                `UPDATE guests SET name = $1, household = $2, contact = $3, updated_at = CURRENT_TIMESTAMP
+                 WHERE id = $4 RETURNING *`,
+                [name, household, contact, id]
+            );
+            return result.rows[0] || null;
+        },
+
+        // A new link for the guest; the old one stops working
+        async setGuestToken(id, token) {
+            const result = await pool.query(
+                'UPDATE guests SET token = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING *',
+                [token, id]
+            );
+            return result.rows[0] || null;
+        },
+
+        async recordGuestOpen(id) {
+            await pool.query(
+                `UPDATE guests SET open_count = open_count + 1,
+                    first_opened_at = COALESCE(first_opened_at, CURRENT_TIMESTAMP),
+                    last_opened_at = CURRENT_TIMESTAMP
+                 WHERE id = $1`,
+                [id]
+            );
+        },
+
+        async deleteGuest(id) {
+            const result = await pool.query('DELETE FROM guests WHERE id = $1 RETURNING *', [id]);
+            return result.rows[0] || null;
+        },
+
+        // ---------- Photos ----------
+
+        async listPhotos({ eventId, status } = {}) {
+            const result = status
+                ? await pool.query('SELECT * FROM photos WHERE event_id = $1 AND status = $2 ORDER BY created_at DESC', [eventId, status])
+                : await pool.query('SELECT * FROM photos WHERE event_id = $1 ORDER BY created_at DESC', [eventId]);
+            return result.rows;
+        },
+
+        async getPhoto(id) {
+            const result = await pool.query('SELECT * FROM photos WHERE id = $1', [id]);
+            return result.rows[0] || null;
+        },
+
+        async createPhoto({ eventId, filename, thumbnail, originalName, uploaderName, caption, width, height, sizeBytes }) {
+            const result = await pool.query(
+                `INSERT INTO photos (event_id, filename, thumbnail, original_name, uploader_name, caption, width, height, size_bytes)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9) RETURNING *`,
+                [eventId, filename, thumbnail, originalName, uploaderName, caption, width, height, sizeBytes]
+            );
+            return result.rows[0];
+        },
+
+        async updatePhotoStatus(id, status) {
+            const result = await pool.query(
+                'UPDATE photos SET status = $1 WHERE id = $2 RETURNING *',
+                [status, id]
+            );
+            return result.rows[0] || null;
+        },
+
+        // Returns the deleted row so its files can be removed
+        async deletePhoto(id) {
+            const result = await pool.query('DELETE FROM photos WHERE id = $1 RETURNING *', [id]);
+            return result.rows[0] || null;
+        },
+
+        // ---------- Leaderboard ----------
+
+        async createScore({ game, playerName, score, timeMs, stats }) {
+            const result = await pool.query(
+                `INSERT INTO scores (game, player_name, score, time_ms, stats)
+                 VALUES ($1, $2, $3, $4, $5) RETURNING *`,
+                [game, playerName, score, timeMs, JSON.stringify(stats)]
+            );
+            return result.rows[0];
+        },
+
+        // Best first: highest score, then fastest time, then earliest entry
+        async listTopScores(game, limit) {
+            const result = await pool.query(
+                `SELECT id, player_name, score, time_ms, created_at FROM scores
+                 WHERE game = $1 ORDER BY score DESC, time_ms ASC, id ASC LIMIT $2`,
+                [game, limit]
+            );
+            return result.rows;
+        },
+
+        async getScore(id) {
+            const result = await pool.query(
+                'SELECT id, game, player_name, score, time_ms, created_at FROM scores WHERE id = $1',
+                [id]
+            );
+            return result.rows[0] || null;
+        },
+
+        async getScoreRank({ id, game, score, time_ms }) {
+            const result = await pool.query(
+                `SELECT
+                    COUNT(*) FILTER (WHERE score > $2 OR (score = $2 AND (time_ms, id) < ($3, $4))) AS ahead,
+                    COUNT(*) AS total
+                 FROM scores WHERE game = $1`,
+                [game, score, time_ms, id]
+            );
+            const { ahead, total } = result.rows[0];
+            return { rank: parseInt(ahead) + 1, total: parseInt(total) };
+        },
+
+        // ---------- Audit log ----------
+
+        async createAuditEntry({ actor, action, targetId, before, after, ip }) {
+            const result = await pool.query(
+                `INSERT INTO audit_log (actor, action, target_id, before_state, after_state, ip, created_at)
+                 VALUES ($1, $2, $3, $4, $5, $6, $7) RETURNING *`,
+                [actor, action, targetId, before && JSON.stringify(before), after && JSON.stringify(after), ip, new Date().toISOString()]
+            );
+            return result.rows[0];
+        },
+
+        // Newest first; `beforeId` continues from the last entry of a page
+        async listAuditEntries({ action, actor, targetId, from, to, limit, beforeId } = {}) {
+            const params = [];
+            const conditions = [];
+            const add = (sql, value) => {
+                params.push(value);
+                conditions.push(sql.replace('?', `$${params.length}`));
+            };
+
+            if (action) add('action = ?', action);
+            if (actor) add('position(lower(?) in lower(actor)) > 0', actor);
+            if (targetId) add('target_id = ?', targetId);
+            if (from) add('created_at >= ?', from);
+            if (to) add('created_at < ?', to);
+            if (beforeId) add('id < ?', beforeId);
+            params.push(limit);
+
+            const result = await pool.query(
+                `SELECT * FROM audit_log ${whereClause(conditions)} ORDER BY id DESC LIMIT $${params.length}`,
+                params
+            );
+            return result.rows;
+        },
+
+        // ---------- Settings ----------
+
+        async getSetting(key) {
+            const result = await pool.query('SELECT value FROM settings WHERE key = $1', [key]);
+            return result.rows.length > 0 ? result.rows[0].value : null;
+        },
+
+        async setSetting(key, value) {
+            await pool.query(
+                `INSERT INTO settings (key, value) VALUES ($1, $2)
+                 ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = CURRENT_TIMESTAMP`,
+                [key, JSON.stringify(value)]
+            );
+        },
+
+        // ---------- Stats ----------
+
+        async getStats(eventId) {
+            const messageResult = await pool.query(`
+                SELECT COUNT(*) as count, COUNT(*) FILTER (WHERE status = 'pending') AS pending
+                FROM messages WHERE event_id = $1 AND deleted_at IS NULL
+            `, [eventId]);
+            const rsvpResult = await pool.query(`
+                SELECT
+                    COUNT(*) FILTER (WHERE status = 'attending') AS attending,
+                    COUNT(*) FILTER (WHERE status = 'maybe') AS maybe,
+                    COUNT(*) FILTER (WHERE status = 'not-attending') AS not_attending,
+                    COALESCE(SUM(adults) FILTER (WHERE status = 'attending'), 0) AS adults,
+                    COALESCE(SUM(children) FILTER (WHERE status = 'attending'), 0) AS children
+                FROM rsvps WHERE event_id = $1
+            `, [eventId]);
+            const photoResult = await pool.query(`
+                SELECT COUNT(*) FILTER (WHERE status = 'pending') AS pending FROM photos WHERE event_id = $1
+            `, [eventId]);
+            const messages = messageResult.rows[0];
+            const rsvps = rsvpResult.rows[0];
+            return {
+                totalMessages: parseInt(messages.count),
+                pendingMessages: parseInt(messages.pending),
+                pendingPhotos: parseInt(photoResult.rows[0].pending),
+                rsvps: {
+                    attending: parseInt(rsvps.attending),
+                    maybe: parseInt(rsvps.maybe),
+                    notAttending: parseInt(rsvps.not_attending)
+                },
+                expectedGuests: {
+                    adults: parseInt(rsvps.adults),
+                    children: parseInt(rsvps.children),
+                    total: parseInt(rsvps.adults) + parseInt(rsvps.children)
+                }
+            };
+        }
+    };
+}
+
+module.exports = { createPostgresStorage };
@@ -0,0 +1,10 @@
+// Search text shared by both storage backends: lowercase words made of
+// letters and digits, roughly how Postgres' 'simple' text search config
+// splits text. Every term has to match the start of a word.
+const MAX_SEARCH_TERMS = 10;
+
+function searchTerms(text) {
+    return (String(text || '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || []).slice(0, MAX_SEARCH_TERMS);
+}
+
+module.exports = { searchTerms };
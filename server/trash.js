@@ -0,0 +1,27 @@
+const { removeMediaFiles } = require('./media');
+
+// Deleted messages sit in the trash for TRASH_RETENTION_DAYS (default 30)
+// and are then purged for good. The sweep runs at startup and hourly.
+const TRASH_RETENTION_DAYS = parseFloat(process.env.TRASH_RETENTION_DAYS) || 30;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+async function purgeExpiredTrash(storage) {
+    const cutoff = new Date(Date.now() - TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000).toISOString();
+    try {
+        const rows = await storage.purgeMessagesDeletedBefore(cutoff);
+        await removeMediaFiles(rows);
+        const purged = rows.length;
+        if (purged > 0) {
+            console.log(`Purged ${purged} message${purged === 1 ? '' : 's'} from the trash`);
+        }
+    } catch (error) {
+        console.error('Error purging trash:', error);
+    }
+}
+
+function startTrashPurge(storage) {
+    purgeExpiredTrash(storage);
+    setInterval(() => purgeExpiredTrash(storage), PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = { TRASH_RETENTION_DAYS, startTrashPurge };
@@ -0,0 +1,36 @@
+const multer = require('multer');
+
+// File uploads: guest photos, voice and video wishes, and backups to
+// restore. Each is one file in a multipart form, kept in memory until the
+// route has checked it.
+
+class UploadError extends Error {
+    constructor(message, status = 400) {
+        super(message);
+        this.status = status;
+    }
+}
+
+// Express middleware parsing the form with `field` as its one file, no
+// larger than `maxMb`. multer's errors, and an UploadError `fileFilter`
+// rejects a file with, become JSON 4xx responses; `noun` names the files
+// in the size error, e.g. "Photos must be 15 MB or smaller".
+function uploadParser({ field, maxMb, noun, fileFilter }) {
+    const upload = multer({
+        storage: multer.memoryStorage(),
+        limits: { fileSize: Math.round(maxMb * 1024 * 1024), files: 1 },
+        fileFilter
+    }).single(field);
+
+    return (req, res, next) => {
+        upload(req, res, error => {
+            if (!error) return next();
+            if (error instanceof multer.MulterError && error.code === 'LIMIT_FILE_SIZE') {
+                return res.status(413).json({ error: `${noun} must be ${maxMb} MB or smaller` });
+            }
+            res.status(error.status || 400).json({ error: error.message });
+        });
+    };
+}
+
+module.exports = { UploadError, uploadParser };